@@ -0,0 +1,101 @@
+/**
+ * Ahead-of-time template compiler. This is what powers `livemarkup compile`.
+ *
+ * Loads Livemarkup into a jsdom window, runs [LM.compile()] on each file, and
+ * returns the source of a JS module to be loaded with [LM.load()].
+ *
+ *     var compiler = require('livemarkup/lib/compiler');
+ *
+ *     compiler.compile(['templates/book/show.html'], {}, function(err, js) {
+ *       fs.writeFileSync('templates.js', js);
+ *     });
+ */
+
+var fs = require('fs');
+var path = require('path');
+var createWindow = require('./window').create;
+
+/**
+ * Compiles the template `files` and passes the module source to `callback`.
+ *
+ * Options:
+ *
+ *  - base : Directory that template names are relative to. Defaults to the
+ *           current directory. (`templates/book/show.html` => `book/show`)
+ */
+
+exports.compile = function(files, options, callback) {
+  var base = options.base || process.cwd();
+
+  createWindow(function(err, window) {
+    if (err) return callback(err);
+
+    var data = { templates: {}, directives: {}, expressions: {}, handlers: {} };
+
+    try {
+      files.forEach(function(file) {
+        var el = window.document.createElement('div');
+        el.innerHTML = fs.readFileSync(file, 'utf-8');
+
+        merge(data, window.LM.compile(el, templateName(file, base)));
+      });
+    } catch (e) {
+      err = e;
+    }
+
+    window.close();
+    if (err) return callback(err);
+    callback(null, exports.toSource(data));
+  });
+};
+
+/**
+ * Turns the data returned by [LM.compile()] into a JS module.
+ */
+
+exports.toSource = function(data) {
+  return [
+    "/* Generated by `livemarkup compile`. Do not edit. */",
+    "(function(data) {",
+    "  if (typeof module === 'object') module.exports = data;",
+    "  else LM.load(data);",
+    "})({",
+    "  templates: " + indent(JSON.stringify(data.templates, null, 2)) + ",",
+    "  directives: " + indent(JSON.stringify(data.directives, null, 2)) + ",",
+    // These arguments are the ones documented in `LM.load()`.
+    "  expressions: " + functions(data.expressions, ['ctx', '$el', 'helpers', 'locals']) + ",",
+    "  handlers: " + functions(data.handlers, ['ctx']),
+    "});",
+    ""
+  ].join("\n");
+};
+
+// `templates/book/show.html` => `book/show`
+function templateName(file, base) {
+  return path.relative(base, file)
+    .replace(/\.[^\/\\.]+$/, '')
+    .split(path.sep).join('/');
+}
+
+function merge(data, more) {
+  Object.keys(data).forEach(function(key) {
+    Object.keys(more[key]).forEach(function(k) {
+      data[key][k] = more[key][k];
+    });
+  });
+}
+
+function functions(map, params) {
+  var keys = Object.keys(map);
+  if (!keys.length) return '{}';
+
+  return "{\n" + keys.map(function(key) {
+    return "    " + JSON.stringify(key) + ": function(" + params.join(', ') + ") {\n" +
+      "      " + map[key] + "\n" +
+      "    }";
+  }).join(",\n") + "\n  }";
+}
+
+function indent(str) {
+  return str.replace(/\n/g, "\n  ");
+}
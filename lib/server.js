@@ -0,0 +1,59 @@
+/**
+ * Server-side rendering.
+ *
+ * Renders a template in a jsdom window and returns its HTML. The result keeps
+ * its directives and `<!--lm:...-->` markers, so `LM(el).render()` on the
+ * client adopts it instead of rendering it again.
+ *
+ *     var server = require('livemarkup/lib/server');
+ *
+ *     server.render(html, { model: book, locals: { user: user } }, function(err, out) {
+ *       res.send('<div id="book">' + out + '</div>');
+ *     });
+ *
+ * And on the client:
+ *
+ *     LM($('#book')).bind(book).locals({ user: user }).render();
+ *
+ * Needs `jsdom`, `jquery` and `underscore`, which are optional peer
+ * dependencies of Livemarkup (see `./window`).
+ */
+
+var createWindow = require('./window').create;
+
+/**
+ * Renders `html` and passes the result to `callback`.
+ *
+ * Options:
+ *
+ *  - model   : Model to bind to (see `Template#bind()`)
+ *  - locals  : Locals (see `Template#locals()`)
+ *  - helpers : Helpers to add to `LM.helpers`
+ */
+
+exports.render = function(html, options, callback) {
+  createWindow(function(err, window) {
+    if (err) return callback(err);
+
+    var LM = window.LM;
+    var out;
+
+    try {
+      LM.config.ssr = true;
+      window._.extend(LM.helpers, options.helpers);
+
+      var $root = window.jQuery('<div>').html(html);
+      var tpl = LM($root).locals(options.locals || {});
+      if (options.model) tpl.bind(options.model);
+
+      out = tpl.render().$el.html();
+      tpl.destroy();
+    } catch (e) {
+      err = e;
+    }
+
+    window.close();
+    if (err) return callback(err);
+    callback(null, out);
+  });
+};
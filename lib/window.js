@@ -0,0 +1,70 @@
+/**
+ * Creates a jsdom window with jQuery, Underscore and Livemarkup loaded. Used
+ * by the compiler and the server renderer.
+ *
+ *     require('./window').create(function(err, window) {
+ *       window.LM(...);
+ *     });
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+exports.create = function(callback) {
+  var jsdom, src;
+
+  try {
+    jsdom = need('jsdom');
+    src = scripts();
+  } catch (e) {
+    return callback(e);
+  }
+
+  jsdom.env({
+    html: '<!doctype html><html><head></head><body></body></html>',
+    src: src,
+    done: function(errors, window) {
+      if (errors) return callback(errors[0]);
+      callback(null, window);
+    }
+  });
+};
+
+// The scripts that Livemarkup needs in the window.
+function scripts() {
+  var jquery = path.join(path.dirname(need.resolve('jquery/package.json')), 'jquery.js');
+
+  return [
+    fs.readFileSync(jquery, 'utf-8'),
+    fs.readFileSync(need.resolve('underscore'), 'utf-8'),
+    fs.readFileSync(path.join(__dirname, '..', 'livemarkup.js'), 'utf-8')
+  ];
+}
+
+// jsdom, jQuery and Underscore aren't dependencies of Livemarkup (it runs in
+// the browser), so they may not be installed. Fail with a hint instead of
+// "Cannot find module".
+function need(name) {
+  try {
+    return require(name);
+  } catch (e) {
+    throw missing(name, e);
+  }
+}
+
+need.resolve = function(name) {
+  try {
+    return require.resolve(name);
+  } catch (e) {
+    throw missing(name, e);
+  }
+};
+
+function missing(name, e) {
+  var pkg = name.split('/')[0];
+  if (e.code !== 'MODULE_NOT_FOUND' || e.message.indexOf("'" + pkg) === -1) return e;
+
+  return new Error("'" + pkg + "' is needed to precompile or to render on the " +
+    "server. Install it with:\n\n" +
+    "  npm install jsdom@9 jquery@~1.9.1 underscore@~1.4.4\n");
+}
@@ -6,7 +6,8 @@
   else this.LM = lm;
 })(function($, _) {
 
-  var on = $.fn.on ? 'on' : 'bind',
+  var root = this,
+    on = $.fn.on ? 'on' : 'bind',
     off = $.fn.off ? 'off' : 'unbind',
     radio = 'input[type="radio"]',
     check = 'input[type="checkbox"]',
@@ -20,7 +21,7 @@
 
   var dirFormat = {
     prefix: /(?:@|lm-|lm_|lm:|data-lm-)/,
-    action: /([a-zA-Z0-9\_]+)/,
+    action: /([a-zA-Z0-9\_\-]+)/,
     param: /(?::(.+))?/
   };
 
@@ -79,6 +80,33 @@
 
   LM.helpers = {};
 
+  /**
+   * Global configuration.
+   *
+   *  - csp : When `true`, expressions and `@on` handlers are evaluated by a
+   *          built-in interpreter instead of `new Function` and `with`. Use
+   *          this on pages with a Content-Security-Policy that forbids
+   *          `unsafe-eval`.
+   *
+   *  - ssr : When `true`, rendered templates keep what they need to be
+   *          hydrated on the client. Used when rendering on the server; see
+   *          `lib/server.js`.
+   *
+   *  - batch : How directives are re-rendered when models change.
+   *          `'sync'` (the default) renders them right away. `'microtask'`
+   *          and `'raf'` queue them up and render each one once, either
+   *          after the current task or on the next animation frame. See
+   *          [LM.flush()].
+   *
+   *     LM.config.csp = true;
+   */
+
+  LM.config = {
+    csp: false,
+    ssr: false,
+    batch: 'sync'
+  };
+
   /**
    * A template object representing a live DOM instance. The `LM(...)` function
    * returns a template instance. See [LM()] for more info.
@@ -90,6 +118,7 @@
    *   - model        : The model bound using [Template#bind()]
    *   - view         : The associed Backbone view when instanciated via `LM(view)`
    *   - localContext : Local object context as modified using [Template#locals()]
+   *   - errors       : Validation errors of all its models by field; see [Template#isValid()]
    */
 
   function Template($el) {
@@ -97,6 +126,7 @@
     this.initialize = _.memoize(this.initialize);
     this.directives = [];
     this.localContext = {};
+    this.errors = {};
 
     // If it's a Backbone view
     if ($el.$el) {
@@ -117,11 +147,21 @@
    *
    *     var model = new Backbone.Model();
    *     tpl.bind(model);
+   *
+   * After the template is rendered, this switches it over to the new model:
+   * it stops listening to the old one, points every directive (and the
+   * subtemplates that share the model) to the new one, and renders again. The
+   * DOM is kept as it is.
+   *
+   *     tpl.bind(people.at(1));
    */
 
   Template.prototype.bind = function(model) {
+    var changed = this.model !== model;
     this.model = model;
 
+    if (this.rendered && changed && !this.destroyed) rebindTemplate(this);
+
     return this;
   };
 
@@ -163,6 +203,7 @@
   Template.prototype.render = function() {
     this.initialize();
     _.each(this.directives, function(dir) { dir.render(); });
+    this.rendered = true;
 
     return this;
   };
@@ -176,8 +217,9 @@
    */
 
   Template.prototype.initialize = function() {
-    // Ensure that `lm:destroy` events don't recurse back up to parent templates.
-    this.on('lm:destroy', function(e) { e.stopPropagation(); });
+    // Ensure that `lm:destroy` (and `lm:validate`) events don't recurse back up
+    // to parent templates.
+    this.on('lm:destroy lm:validate', function(e) { e.stopPropagation(); });
 
     this.directives = Template.fetchDirectives(this.$el, this);
 
@@ -217,10 +259,28 @@
    */
 
   Template.prototype.destroy = function() {
+    this.destroyed = true;
     this.trigger('lm:destroy');
     return this;
   };
 
+  /**
+   * Checks if the last validation of the template's models passed. The
+   * errors are in `tpl.errors`, and an `lm:validate` event is triggered when
+   * they change.
+   *
+   *     tpl.on('lm:validate', function() {
+   *       $submit.prop('disabled', !tpl.isValid());
+   *     });
+   *
+   * Models are watched for validation errors once they're used by `@value`,
+   * `@error`, or the [valid()] modifier.
+   */
+
+  Template.prototype.isValid = function() {
+    return _.isEmpty(this.errors);
+  };
+
   // ----------------------------------------------------------------------------
 
   /**
@@ -229,6 +289,9 @@
    */
 
   Template.fetchDirectives = function(root, template) {
+    root = root.nodeName ? root : root[0];
+    if (isPrecompiled(root)) return Template.fetchPrecompiled(root, template);
+
     var directives = [];
 
     function walk(parent) {
@@ -238,14 +301,23 @@
         var d = parseDirective(name, value);
         if (!d) return;
 
-        parent.removeAttribute(name);
+        // Server-rendered markup keeps its directives for hydration.
+        if (!LM.config.ssr) parent.removeAttribute(name);
         d = new Directive(template, parent, d.action, d.param, d.value);
         directives.push(d);
 
         if (d._stopped) stop = true;
       });
 
+      // Components used as custom elements, like `<user-card>`.
+      if (!stop && isComponentTag(parent) && !parent.lmComponent) {
+        directives.push(componentDirective(template, parent));
+        stop = true;
+      }
+
       if (!stop) {
+        expandMarkers(parent);
+
         var children = []; //parent.children;
         _.each(parent.children, function(child) { children.push(child); });
         _.each(children, function(child) {
@@ -259,13 +331,155 @@
       }
     }
 
-    walk(root.nodeName ? root : root[0]);
+    walk(root);
+
+    return directives;
+  };
+
+  /**
+   * Like [Template.fetchDirectives()], but for markup made by [LM.compile()].
+   * Elements are found by their `data-lmid` marker instead of scanning every
+   * attribute.
+   * @api private
+   */
+
+  Template.fetchPrecompiled = function(root, template) {
+    var directives = [];
+    var stopped = [];
+    var selector = ['[data-lmid]'].concat(_.keys(LM.components)).join(', ');
+    var nodes = [root].concat(_.toArray(root.querySelectorAll(selector)));
+
+    _.each(nodes, function(node) {
+      var id = node.getAttribute('data-lmid');
+      if (!id && !isComponentTag(node)) return;
+
+      // Skip nodes that were taken out (`@if`, `@each`) or stopped (`@text`).
+      if (node !== root && !$.contains(root, node)) return;
+      if (_.any(stopped, function(parent) { return $.contains(parent, node); })) return;
+
+      var entries = id ? LM.compiled.directives[id] : [];
+      if (!entries) throw new Error("Livemarkup: unknown precompiled directive '"+id+"'");
+
+      node.removeAttribute('data-lmid');
+
+      var stop = false;
+      _.each(entries, function(d) {
+        d = new Directive(template, node, d.action, d.param, d.value);
+        directives.push(d);
+
+        if (d._stopped) stop = true;
+      });
+
+      if (!stop && isComponentTag(node) && !node.lmComponent) {
+        directives.push(componentDirective(template, node));
+        stop = true;
+      }
+
+      if (stop) stopped.push(node);
+    });
 
     return directives;
   };
 
   // ----------------------------------------------------------------------------
 
+  /**
+   * Precompiles a template. Used by the `livemarkup compile` command, but
+   * works in any DOM.
+   *
+   * Validates every directive, then replaces the directive attributes of each
+   * element with a `data-lmid` marker. Returns an object that can be turned
+   * into a JS module and loaded with [LM.load()].
+   *
+   *     var data = LM.compile($("<div>...</div>"), "book/show");
+   *
+   *     data.templates    // => { "book/show": "<div data-lmid=...>" }
+   *     data.directives   // => { "book/show:0": [{ action: "text", ... }] }
+   *     data.expressions  // => { "attr('title')": "with(locals){...}" }
+   *     data.handlers     // => { "view.save()": "with(ctx){...}" }
+   *
+   * The `expressions` and `handlers` are function bodies as strings; see
+   * [LM.load()] for the arguments they take.
+   */
+
+  LM.compile = function(element, name) {
+    var root = element.nodeName ? element : $(element)[0];
+    var data = { templates: {}, directives: {}, expressions: {}, handlers: {} };
+    var count = 0;
+
+    function walk(node) {
+      var entries = [];
+
+      eachAttribute(node, function(attrName, value) {
+        var d = parseDirective(attrName, value);
+        if (!d) return;
+
+        try {
+          var action = getAction(d.action);
+
+          if (d.action.toLowerCase() === 'on') {
+            data.handlers[value] = checkSyntax(['ctx'], handlerBody(value));
+          } else {
+            var codes = action.expressions ? action.expressions(value) : [value];
+            _.each(codes, function(code) {
+              data.expressions[code] = checkSyntax(Expression.params, Expression.body(code));
+            });
+          }
+        } catch (e) {
+          e.message += " (in '" + attrName + "' of " + name + ")";
+          throw e;
+        }
+
+        node.removeAttribute(attrName);
+        entries.push(d);
+      });
+
+      if (entries.length) {
+        var id = name + ':' + (count++);
+        data.directives[id] = entries;
+        node.setAttribute('data-lmid', id);
+      }
+
+      _.each(_.toArray(node.children), walk);
+    }
+
+    _.each(_.toArray(root.children), walk);
+    data.templates[name] = root.innerHTML;
+
+    return data;
+  };
+
+  /**
+   * Registry of precompiled templates, directives and expressions, as loaded
+   * by [LM.load()].
+   */
+
+  LM.compiled = { templates: {}, directives: {}, expressions: {}, handlers: {} };
+
+  /**
+   * Loads precompiled templates made with `livemarkup compile`. Modules made
+   * by the compiler call this by themselves when loaded via `<script>`; in
+   * CommonJS, load them yourself.
+   *
+   *     LM.load(require('./templates'));
+   *
+   *     view.$el.html(LM.compiled.templates['book/show']);
+   *     LM(view).bind(model).render();
+   *
+   * Expressions are functions of `(ctx, $el, helpers, locals)`, and handlers
+   * are functions of `(ctx)` that return the event handler.
+   */
+
+  LM.load = function(data) {
+    _.each(LM.compiled, function(registry, key) {
+      _.extend(registry, data[key]);
+    });
+
+    return LM;
+  };
+
+  // ----------------------------------------------------------------------------
+
   /**
    * A directive.
    *
@@ -276,6 +490,7 @@
    *  - model        : model to be bound to (alias of [Template#model])
    *  - onrender     : Function to be called on rendering; often overriden in an action
    *  - ondestroy    : Function to be called on [Template#destroy()]
+   *  - onbind       : Function to be called when the model changes; see [Template#bind()]
    *  - value        : The attribute value string, raw and unevaluated
    *
    * Actions are ran in the context of an instance of this. Modifiers have
@@ -287,6 +502,8 @@
     this.template = template;
     this.model = template.model;
     this.value = value;
+    this.uid = ++directiveCount;
+    this.expressions = [];
     this._stopped = false;
 
     // Run the action initialization
@@ -310,7 +527,25 @@
    */
 
   Directive.prototype.expr = function(str) {
-    return new Expression(str, this).run();
+    var expr = new Expression(str, this);
+    this.expressions.push(expr);
+    this.template.on('lm:destroy', function() { expr.unbind(); });
+
+    return expr.run();
+  };
+
+  /**
+   * Points the directive to another model. Its expressions are ran again
+   * against it, and its action is told through `onbind`. Used by
+   * [Template#bind()].
+   */
+
+  Directive.prototype.bind = function(model) {
+    this.model = model;
+    delete this.attrib;
+
+    _.each(this.expressions, function(expr) { expr.rebind(); });
+    if (this.onbind) this.onbind(model);
   };
 
   /**
@@ -321,6 +556,56 @@
     if (this.onrender) this.onrender();
   };
 
+  /**
+   * Renders the directive in response to a change (like a model event).
+   * Renders right away, unless `LM.config.batch` says otherwise.
+   */
+
+  Directive.prototype.queue = function() {
+    if (!LM.config.batch || LM.config.batch === 'sync') return this.render();
+    if (this._queued) return;
+
+    this._queued = true;
+    renderQueue.push(this);
+
+    if (!flushPending) {
+      flushPending = true;
+      defer(LM.config.batch, function() {
+        flushPending = false;
+        LM.flush();
+      });
+    }
+  };
+
+  var directiveCount = 0;
+  var renderQueue = [];
+  var flushPending = false;
+
+  /**
+   * Renders all queued directives now. Useful in tests when `LM.config.batch`
+   * is on.
+   *
+   *     model.set('name', 'John');
+   *     LM.flush();
+   *
+   * Directives render in the order they were created, so a template always
+   * renders before its subtemplates (`@if`, `@each`). Directives of
+   * templates destroyed along the way are skipped. Directives queued while
+   * flushing are rendered in the same flush.
+   */
+
+  LM.flush = function() {
+    while (renderQueue.length) {
+      var dirs = _.sortBy(renderQueue, 'uid');
+      renderQueue = [];
+
+      _.each(dirs, function(dir) {
+        dir._queued = false;
+        if (!dir.template.destroyed) dir.render();
+      });
+    }
+  };
+
   // ----------------------------------------------------------------------------
 
   /**
@@ -364,16 +649,110 @@
     };
   };
 
+  /**
+   * Property setting action. Like [LM.actions.at], but sets a DOM property
+   * (like `checked`, `indeterminate` or `scrollTop`) instead of an attribute.
+   *
+   *     <input type='checkbox' @prop:indeterminate='attr("partial")'>
+   *     <div @prop:scroll-top='attr("scroll")'>
+   *
+   * Add `sync` to update the model when the user changes the property (on
+   * `change` and `input`, or `scroll` for `scrollTop` and `scrollLeft`).
+   *
+   *     <div @prop:scroll-top.sync='attr("scroll")'>
+   *
+   * On components, it gives a prop instead (see [LM.actions.component]).
+   */
+
+  Actions.prop = function(param) {
+    var dir = this;
+    var $el = dir.$el;
+    var parts = (param || '').split('.');
+    var name = propName($el[0], parts[0]);
+    var expr = dir.expr(dir.value);
+
+    if (parts[1] && parts[1] !== 'sync') throw new Error("@prop: unknown option '" + parts[1] + "'");
+
+    // Keep it for `@component`, in case this turns out to be one.
+    ($el[0].lmProps || ($el[0].lmProps = {}))[parts[0]] = expr;
+
+    if (parts[1] && dir.attrib) {
+      var events = /^scroll/.test(name) ? 'scroll' : 'change input';
+      var onchange = function() {
+        if (!dir.template.destroyed && !$el[0].lmComponent) setAttrib(dir.attrib, $el[0][name]);
+      };
+
+      $el[on](events, onchange);
+      dir.template.on('lm:destroy', function() { $el[off](events, onchange); });
+    }
+
+    this.onrender = function() {
+      var val = expr.value();
+
+      // On components, it's a prop of the component instead.
+      if ($el[0].lmComponent) return $el[0].lmComponent.setProp(parts[0], val);
+
+      // Leave it alone if it's the same (say, to not reset the scroll).
+      if ($el[0][name] !== val) setProp($el, name, val);
+    };
+  };
+
+  /**
+   * Inline style action. Sets the style property `name`, and removes it when
+   * the value is `null`, `undefined` or `false`.
+   *
+   *     <div @style:width='attr("progress") -> val + "%"'>
+   *
+   * Without a name, the value is an object of styles. Styles that were set by
+   * it before, but are missing now, are removed. Other styles are left alone.
+   *
+   *     <div @style='-> { color: color, opacity: opacity }'>
+   */
+
+  Actions.style = function(name) {
+    var expr = this.expr(this.value);
+    var owned = [];
+
+    this.onrender = function() {
+      var $el = this.$el;
+      var val = expr.value();
+      var styles = val;
+
+      if (name) { styles = {}; styles[name] = val; }
+
+      _.each(_.difference(owned, _.keys(styles || {})), function(key) {
+        $el.css(key, '');
+      });
+
+      _.each(styles, function(val, key) {
+        $el.css(key, (val === null || val === undefined || val === false) ? '' : val);
+      });
+
+      owned = _.keys(styles || {});
+    };
+  };
+
   /**
    * Class toggling action.
    *
    *     <div @class:enabled='attr("enabled")'>
+   *
+   * Without a class name, the value is the class name (or names) to add. The
+   * ones it added before are removed when the value changes.
+   *
+   *     <div @class='attr("theme")'>
+   *
+   * It can also be an object of class names to toggle.
+   *
+   *     <div @class='-> { active: isActive, "is-disabled": off }'>
    */
 
   Actions.class = function(className) {
-    className = className.replace(/[:\.]/g, ' ');
     var expr = this.expr(this.value);
 
+    if (!className) return dynamicClass(this, expr);
+    className = className.replace(/[:\.]/g, ' ');
+
     this.onrender = function() {
       var val = expr.value();
 
@@ -381,6 +760,45 @@
     };
   };
 
+  // Renders `@class` without a class name. It keeps track of the classes it
+  // added, so that classes that were already there are left alone.
+  function dynamicClass(dir, expr) {
+    var added = [];
+
+    dir.onrender = function() {
+      var $el = dir.$el;
+      var val = expr.value();
+      var names = classNames(val);
+      var off = _.difference(added, names);
+
+      // With objects, the class names with a false value are removed too.
+      if (_.isObject(val) && !_.isArray(val)) {
+        _.each(val, function(on, name) { if (!on) off = off.concat(classNames(name)); });
+      }
+
+      _.each(off, function(name) { $el.removeClass(name); });
+      added = _.difference(added, off);
+
+      _.each(names, function(name) {
+        if ($el.hasClass(name)) return;
+        $el.addClass(name);
+        added.push(name);
+      });
+    };
+  }
+
+  // Returns the class names in `val`: a string of names, an array of them, or
+  // an object whose keys are the names to turn on (if their value is true).
+  function classNames(val) {
+    if (!val) return [];
+    if (_.isString(val)) return _.compact(val.split(/\s+/));
+    if (_.isArray(val)) return _.flatten(_.map(val, classNames));
+
+    return _.flatten(_.map(val, function(on, names) {
+      return on ? classNames(names) : [];
+    }));
+  }
+
   /**
    * HTML setting action.
    *
@@ -406,124 +824,1105 @@
    * Makes a two-way value binding. Works for `input`, `textarea`, and `select`.
    *
    *     <input @value='attr("name")'>
+   *
+   * The model is updated on `change`. Use `input` to update it as the user
+   * types, and `debounce` to wait for the user to stop typing first:
+   *
+   *     <input @value:input='attr("query")'>
+   *     <input @value:input.debounce.300='attr("query")'>
+   *
+   * Values can be converted both ways with a converter from [LM.converters]:
+   *
+   *     <input @value:number='attr("age")'>
+   *     <input @value:input.number='attr("age")'>
+   *
+   * Checkboxes with the same name work as a group, and their value is an array
+   * of the checked values. A lone checkbox is `true` or `false` instead (or
+   * the values given by `@true-value` and `@false-value`).
+   *
+   *     <input type='checkbox' @value='attr("agree")'>
+   *     <input type='checkbox' @value='attr("plan")' @true-value='-> "pro"' @false-value='-> "free"'>
+   *
+   * The element gets an `invalid` class (and `aria-invalid`) when its model
+   * attribute fails validation. Use `validate` to validate when setting:
+   *
+   *     <input @value:validate='attr("email")'>
+   *
+   * On `contenteditable` elements, it binds to the element's text (or its HTML,
+   * with `html`), and updates the model on `input` and `blur`:
+   *
+   *     <div contenteditable @value:html='attr("body")'></div>
    */
 
-  Actions.value = function() {
+  Actions.value = function(param) {
     var dir = this;
     var template = this.template;
     var $el = dir.$el;
     var expr = this.expr(this.value);
+    var mode = valueMode(param, isEditable($el));
     var onchange;
 
+    // Whatever's inside is the value, not part of the template.
+    if (mode.editable) this.stop();
+
     this.onrender = function() {
       // Get the value and transform it if need be.
       // (Array'ify it because $("select[multiple]").val() expects it, and so
       // does `recheck()`)
       var val = expr.value();
+      var many = $el.is(radio + ',' + check + ',' + multiple);
+
+      dir.lone = isLoneCheckbox($el, val);
+      if (mode.converter && !dir.lone) val = convert(mode.converter.format, val, many);
+
+      // A lone checkbox is checked when it's true (or its `@true-value`).
+      if (dir.lone)
+        setProp($el, 'checked', $el[0].lmTrueValue ? _.isEqual(val, $el[0].lmTrueValue.value()) : !!val);
 
       // Set the value; uncheck the false and check the true.
-      if ($el.is(radio + ',' + check))
+      else if ($el.is(radio + ',' + check))
         recheck($el, toArray(val));
 
       // Account for <select multiple>
       else if ($el.is(multiple))
-        $el.val(toArray(val));
+        selectOptions($el[0], toArray(val));
+
+      // Same with contenteditable: leave it alone if it's the same, so that
+      // the selection doesn't get reset.
+      else if (mode.editable) {
+        var method = mode.html ? 'html' : 'text';
+        val = formatString(val);
+        if ($el[method]() !== val) $el[method](val);
+      }
 
-      else
+      // Leave it alone if it's the same, so that the caret doesn't move when
+      // the model echoes back what's being typed.
+      else if (val === null || val === undefined || $el.val() !== String(val))
         $el.val(val);
 
+      if (dir.attrib) watchErrors(template, dir.attrib.model);
+
       // Bind an onchange if there's a two-way binding (`attr('...')`).
       // Ensure that it's bound only once (because onrender happens many times!)
       if (dir.attrib && !dir.bound) {
         dir.bound = true;
-        $el[on]('change', onchange = function(e, v) {
-          dir.attrib.model.set(dir.attrib.field, $(this).val());
-        });
+        onchange = function(e, v) {
+          if (template.destroyed) return;
+
+          var val = fieldValue($el, dir.lone, mode);
+          if (mode.converter && !dir.lone) val = convert(mode.converter.parse, val, _.isArray(val));
+          setAttrib(dir.attrib, val, mode.validate ? { validate: true } : undefined);
+        };
+        if (mode.wait) onchange = _.debounce(onchange, mode.wait);
+        $el[on](mode.events, onchange);
       }
     };
 
     template.on('lm:destroy', function() {
-      if (dir.bound) $el[off]('change', onchange);
+      if (dir.bound) $el[off](mode.events, onchange);
+    });
+
+    template.on('lm:validate', function() {
+      if (!dir.attrib) return;
+
+      var error = fieldError(template, dir.attrib.model, dir.attrib.field);
+      $el.toggleClass('invalid', !!error);
+      if (error) $el.attr('aria-invalid', 'true');
+      else $el.removeAttr('aria-invalid');
     });
+
+    // Leave a message for `@options` to render it again.
+    $el[0].lmValue = dir;
   };
 
   /**
-   * Makes the element present if the value is `true`, and hides it if `false`.
+   * The values that a lone checkbox with `@value` gives when it's checked or
+   * unchecked.
    *
-   *     <div @if='attr("enabled")'>...</div>
+   *     <input type='checkbox' @value='attr("plan")' @true-value='-> "pro"' @false-value='-> "free"'>
    */
 
-  Actions.if = function() {
-    this.stop();
+  Actions['true-value'] = function() {
+    this.$el[0].lmTrueValue = this.expr(this.value);
+  };
 
-    var dir = this;
-    var template = dir.template;
-    var expr = this.expr(this.value);
+  Actions['false-value'] = function() {
+    this.$el[0].lmFalseValue = this.expr(this.value);
+  };
 
-    // Create a placeholder empty text code so we know where to ressurrent the
-    // element later on.
-    var $holder = $(createTextNodeAfter(this.$el));
+  // Returns the value of a form element, to be written to the model by
+  // `@value`: the checked values of a group of checkboxes, the checked radio,
+  // the selected options of a `<select multiple>`, or the contents of a
+  // contenteditable element.
+  function fieldValue($el, lone, mode) {
+    var el = $el[0];
+    var checked = function() { return this.checked; };
 
-    // Remove the element so we can append it later on.
-    var $blueprint = dir.$el.remove();
-    var $el;
+    if (mode.editable) return mode.html ? $el.html() : $el.text();
 
-    // Render as a subtemplate.
-    this.sub = null;
+    if (lone) {
+      var expr = el.checked ? el.lmTrueValue : el.lmFalseValue;
+      return expr ? expr.value() : el.checked;
+    }
 
-    this.onrender = function() {
-      if (expr.value()) {
-        $el = $blueprint.clone();
-        $holder.after($el);
-        if (!this.sub) {
-          this.sub = LM($el).locals(template.localContext).bind(template.model).render();
-        }
-      }
-      else {
-        if (this.sub) {
-          this.sub.destroy();
-          delete this.sub;
-        }
-        if ($el) {
-          $el.remove();
-          $el = null;
-        }
-      }
-    };
+    if ($el.is(check))
+      return _.pluck(checkGroup($el).filter(checked).get(), 'value');
 
-    // Propagate destruction.
-    template.on('lm:destroy', function() { dir.sub.destroy(); });
-  };
+    if ($el.is(radio)) {
+      var box = checkGroup($el).filter(checked)[0];
+      return box ? box.value : null;
+    }
 
-  /**
-   * Binds an event handler
-   */
+    if ($el.is(multiple))
+      return _.pluck(_.filter(el.options, function(o) { return o.selected; }), 'value');
 
-  Actions.on = function(event) {
-    var dir = this;
-    var $el = dir.$el;
-    var tpl = dir.template;
-    var src = this.value;
-    var fn;
+    return $el.val();
+  }
 
-    if (tpl.view && tpl.view[src]) {
-      // Work with Backbone view methods
-      fn = tpl.view[src];
-    }
-    else {
-      // Create a function closure that adds the local context into it
-      var gen = new Function('ctx', 'with(ctx){return function(e){'+ src + '};}');
-      fn = gen(tpl.localContext);
+  // Checks if `$el` is `contenteditable` (and not `contenteditable='false'`).
+  function isEditable($el) {
+    var attr = $el.attr('contenteditable');
+    return attr !== undefined && attr !== null && attr !== 'false';
+  }
+
+  // Checks if `$el` is a checkbox that stands on its own: it's not in a group
+  // of checkboxes of the same name, and its value isn't an array.
+  function isLoneCheckbox($el, val) {
+    return $el.is(check) && !_.isArray(val) && checkGroup($el).length <= 1;
+  }
+
+  // Parses the param of `@value` (like `input.debounce.300`). Returns the
+  // `events` to update the model on, and how long to `wait` after them.
+  // Contenteditable elements don't fire `change`, so they use `blur` instead.
+  function valueMode(param, editable) {
+    var parts = param ? param.split('.') : [];
+    var change = editable ? 'blur' : 'change';
+    var mode = { events: editable ? 'input blur' : change, wait: 0, editable: editable };
+
+    while (parts.length) {
+      var part = parts.shift();
+
+      if (part === 'input') mode.events = 'input keyup ' + change;
+      else if (part === 'lazy') mode.events = change;
+      else if (part === 'html' && editable) mode.html = true;
+      else if (part === 'validate') mode.validate = true;
+      else if (part === 'debounce') mode.wait = +parts.shift() || 0;
+      else if (LM.converters[part]) mode.converter = LM.converters[part];
+      else throw new Error("@value: unknown option '" + part + "'");
     }
 
-    // Bind the event
-    $el[on](event, fn);
-    tpl.on('lm:destroy', function() { $el[off](event, fn); });
-  };
+    return mode;
+  }
+
+  // Runs the converter function `fn` on `val`, or on each of its items if it
+  // holds `many` values (like a `<select multiple>`).
+  function convert(fn, val, many) {
+    if (!fn) return val;
+    return many && _.isArray(val) ? _.map(val, function(v) { return fn(v); }) : fn(val);
+  }
 
   /**
-   * Runner.
-   * (Does nothing really, since the formatter will run it anyway)
+   * Converters for [LM.actions.value]. Each one has a `format` function that
+   * turns a model value into a field value, and a `parse` function that does
+   * the opposite. Use them as `@value:name`.
+   *
+   * You can add your own:
+   *
+   *     LM.converters.cents = {
+   *       format: function(val) { return (val / 100).toFixed(2); },
+   *       parse:  function(val) { return Math.round(parseFloat(val) * 100); }
+   *     };
+   *
+   *     <input @value:cents='attr("price")'>
+   *
+   * Values that can't be parsed (like `"abc"` for a number) are passed to the
+   * model as they are.
+   */
+
+  LM.converters = {
+    number: {
+      format: formatString,
+      parse: function(val) { return parseNumber(val, parseFloat); }
+    },
+
+    integer: {
+      format: formatString,
+      parse: function(val) { return parseNumber(val, function(v) { return parseInt(v, 10); }); }
+    },
+
+    boolean: {
+      format: function(val) { return val ? 'true' : 'false'; },
+      parse: function(val) { return val === true || val === 'true' || val === 'on' || val === '1'; }
+    },
+
+    // As `YYYY-MM-DD`, the format of `<input type='date'>`.
+    date: {
+      format: function(val) {
+        if (!val) return '';
+        if (!(val instanceof Date)) val = new Date(val);
+        if (isNaN(val.getTime())) return '';
+
+        return val.getFullYear() + '-' + pad(val.getMonth() + 1) + '-' + pad(val.getDate());
+      },
+      parse: function(val) {
+        var m = String(val).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!val) return null;
+        if (!m) return val;
+
+        return new Date(+m[1], m[2] - 1, +m[3]);
+      }
+    },
+
+    json: {
+      format: function(val) { return val === undefined ? '' : JSON.stringify(val); },
+      parse: function(val) {
+        try { return JSON.parse(val); }
+        catch (e) { return val; }
+      }
+    }
+  };
+
+  function formatString(val) {
+    return val === null || val === undefined ? '' : String(val);
+  }
+
+  function parseNumber(val, parse) {
+    if (val === '' || val === null || val === undefined) return null;
+
+    var n = parse(val);
+    return isNaN(n) ? val : n;
+  }
+
+  function pad(n) {
+    return n < 10 ? '0' + n : '' + n;
+  }
+
+  /**
+   * Shows the validation error of a model attribute. The model can be given
+   * as the value; it defaults to the template's model.
+   *
+   *     <input @value:validate='attr("email")'>
+   *     <span @error:email></span>
+   *     <span @error:email='-> user'></span>
+   *
+   * Errors come from the model's `invalid` event. For them to be shown by
+   * field, `validate()` should return an object like `{ email: "..." }`. When
+   * it returns a string instead, it's shown by `@error` without a field.
+   *
+   * Attribute names are lowercased by the browser, so the field is matched
+   * regardless of case (`@error:firstName` shows the `firstName` error).
+   */
+
+  Actions.error = function(field) {
+    var dir = this;
+    var template = dir.template;
+    var expr = dir.value && dir.expr(dir.value);
+
+    function model() { return expr ? expr.value() : dir.model; }
+
+    dir.onbind = function() { watchErrors(template, model()); };
+    dir.onbind();
+    template.on('lm:validate', function() { dir.queue(); });
+
+    this.onrender = function() {
+      dir.$el.text(fieldError(template, model(), field || '') || '');
+    };
+  };
+
+  Actions.error.expressions = function(value) {
+    return value ? [value] : [];
+  };
+
+  /**
+   * Fills a `<select>` with options from an array, an object, or a Backbone
+   * collection. The options are updated as the collection changes, keeping the
+   * selection of `@value`.
+   *
+   *     <select @options='-> countries' @value='attr("country")'>
+   *
+   * Options take the `id` and `name` of each item (or the item itself, if it's
+   * not an object). For objects, the keys are the values. Clauses can change
+   * that, add an empty first option, or group options into `<optgroup>`s:
+   *
+   *     <select @options='-> countries | value: "code" | label: "name" |
+   *       group: "region" | placeholder: "Choose..."'>
+   */
+
+  Actions.options = function() {
+    var dir = this;
+    var el = dir.$el[0];
+    var p = parseClauses(dir.value, optionClauses);
+    var expr = dir.expr(p.code);
+    var clauses = {};
+    var nodes = [];
+
+    _.each(p.clauses, function(clause) {
+      clauses[clause.name] = dir.expr('-> ' + clause.code);
+    });
+
+    dir.template.on('lm:destroy', function() {
+      if (dir.unwatch) dir.unwatch();
+    });
+
+    this.onrender = function() {
+      var list = expr.value();
+      var val = dir.$el.val();
+      var opts = {};
+
+      _.each(clauses, function(expr, name) { opts[name] = expr.value(); });
+
+      if (isCollection(list)) {
+        watchCollection(dir, list, {
+          'add remove reset sort change': function() { dir.queue(); }
+        });
+        list = list.models;
+      }
+
+      $(nodes).remove();
+      nodes = buildOptions(list || [], opts);
+      _.each(nodes, function(node) { el.appendChild(node); });
+
+      // The options were replaced, so put the selection back.
+      if (el.lmValue) el.lmValue.render();
+      else dir.$el.val(val);
+    };
+  };
+
+  // Tells [LM.compile()] which parts of `@options` are expressions.
+  Actions.options.expressions = function(value) {
+    var p = parseClauses(value, optionClauses);
+    return [p.code].concat(_.map(p.clauses, function(clause) { return '-> ' + clause.code; }));
+  };
+
+  var optionClauses = ['value', 'label', 'group', 'placeholder'];
+
+  // Returns `<option>` elements (and `<optgroup>`s, when grouping) for the
+  // items in `list`, using the `value`, `label`, `group` and `placeholder`
+  // options in `opts`.
+  function buildOptions(list, opts) {
+    var nodes = [];
+    var groups = {};
+
+    function option(value, label) {
+      return $('<option>').attr('value', value).text(label)[0];
+    }
+
+    if (opts.placeholder !== undefined) nodes.push(option('', opts.placeholder));
+
+    _.each(list, function(item, key) {
+      var node;
+
+      if (!_.isArray(list))
+        node = option(key, item);
+      else if (!_.isObject(item))
+        node = option(item, item);
+      else
+        node = option(getPath(item, opts.value || 'id'), getPath(item, opts.label || 'name'));
+
+      var group = opts.group && getPath(item, opts.group);
+      if (group === undefined || group === null) return nodes.push(node);
+
+      if (!groups[group]) {
+        groups[group] = $('<optgroup>').attr('label', group)[0];
+        nodes.push(groups[group]);
+      }
+      groups[group].appendChild(node);
+    });
+
+    return nodes;
+  }
+
+  /**
+   * Shows the element if the value is `true`, and hides it if `false`. Unlike
+   * [LM.actions.if], the element stays in the DOM (along with its directives
+   * and form state); only its `display` is changed.
+   *
+   *     <div @show='attr("expanded")'>...</div>
+   *
+   * To hide it with the `hidden` attribute or with a class instead:
+   *
+   *     <div @show:hidden='attr("expanded")'>...</div>
+   *     <div @show:class='attr("expanded")'>...</div>            (.hidden)
+   *     <div @show:class.collapsed='attr("expanded")'>...</div>  (.collapsed)
+   */
+
+  Actions.show = function(param) {
+    visibility(this, param, false);
+  };
+
+  /**
+   * The opposite of [LM.actions.show].
+   *
+   *     <div @hide='attr("loading")'>...</div>
+   */
+
+  Actions.hide = function(param) {
+    visibility(this, param, true);
+  };
+
+  // Sets up `@show` (or `@hide`, if `invert`).
+  function visibility(dir, param, invert) {
+    var expr = dir.expr(dir.value);
+    var $el = dir.$el;
+    var parts = (param || '').split('.');
+    var how = parts[0];
+
+    // Keep the original `display` to go back to when shown.
+    var display = $el[0].style.display === 'none' ? '' : $el[0].style.display;
+
+    if (how && how !== 'hidden' && how !== 'class')
+      throw new Error("@show/@hide: unknown option '" + how + "'");
+
+    dir.onrender = function() {
+      var val = expr.value();
+      var visible = invert ? !val : !!val;
+      var name = $el[0].lmTransition;
+
+      if (visible === dir.visible) return;
+      dir.visible = visible;
+
+      // Hide it after the leave transition; show it, then do the enter one.
+      if (!visible && dir.template.rendered)
+        return transition(name, $el[0], 'leave', function() {
+          if (dir.visible === visible) toggle(visible);
+        });
+
+      toggle(visible);
+      if (visible) enter(dir.template, $el, name);
+    };
+
+    function toggle(visible) {
+      if (how === 'class')
+        $el.toggleClass(parts[1] || 'hidden', !visible);
+      else if (how === 'hidden' && visible)
+        $el.removeAttr('hidden');
+      else if (how === 'hidden')
+        $el.attr('hidden', 'hidden');
+      else
+        $el[0].style.display = visible ? display : 'none';
+    }
+  }
+
+  /**
+   * Makes the element present if the value is `true`, and hides it if `false`.
+   *
+   *     <div @if='attr("enabled")'>...</div>
+   *
+   * It may be followed by `@elseif` and `@else` siblings. Only the first
+   * branch whose value is true will be present.
+   *
+   *     <div @if='attr("admin")'>Admin</div>
+   *     <div @elseif='attr("editor")'>Editor</div>
+   *     <div @else>Guest</div>
+   */
+
+  Actions.if = function() {
+    conditional(this, [], this.expr(this.value));
+  };
+
+  /**
+   * The opposite of [LM.actions.if].
+   *
+   *     <div @unless='attr("enabled")'>...</div>
+   */
+
+  Actions.unless = function() {
+    var expr = this.expr(this.value);
+    conditional(this, [], { value: function() { return !expr.value(); } });
+  };
+
+  /**
+   * A branch of an `@if` (or `@unless`) that's present when the branches
+   * before it are not, and its value is `true`.
+   *
+   *     <div @elseif='attr("editor")'>...</div>
+   */
+
+  Actions.elseif = function() {
+    conditional(this, previousChain(this, '@elseif'), this.expr(this.value));
+  };
+
+  Actions['else-if'] = Actions.elseif;
+
+  /**
+   * The last branch of an `@if` (or `@unless`), present when no other branch
+   * is.
+   *
+   *     <div @else>...</div>
+   */
+
+  Actions['else'] = function() {
+    var chain = previousChain(this, '@else');
+    chain.closed = true;
+    conditional(this, chain, null);
+  };
+
+  Actions['else'].expressions = function() { return []; };
+
+  /**
+   * Shows only the child whose `@case` matches the value. Children without a
+   * match show `@default` instead.
+   *
+   *     <div @switch='attr("status")'>
+   *       <p @case:draft>Draft</p>
+   *       <p @case:published>Published</p>
+   *       <p @default>Unknown</p>
+   *     </div>
+   *
+   * Since HTML attribute names are case-insensitive, so are the cases.
+   */
+
+  Actions['switch'] = function() {
+    var expr = this.expr(this.value);
+    var chain = this.$el[0].lmSwitch = [];
+
+    // Nothing can attach to this with `@else`.
+    chain.closed = true;
+
+    chain.select = function() {
+      var val = String(expr.value()).toLowerCase();
+      return _.find(chain, function(branch) { return branch.key === val; }) ||
+        _.find(chain, function(branch) { return branch.isDefault; });
+    };
+
+    this.onrender = function() { renderChain(chain); };
+  };
+
+  /**
+   * A child of `@switch`. See [LM.actions.switch].
+   */
+
+  Actions['case'] = function(key) {
+    conditional(this, switchChain(this, '@case'), null).key = key;
+
+    // Rendered by `@switch`.
+    this.onrender = null;
+  };
+
+  /**
+   * The child of `@switch` shown when no `@case` matches.
+   * See [LM.actions.switch].
+   */
+
+  Actions['default'] = function() {
+    conditional(this, switchChain(this, '@default'), null).isDefault = true;
+
+    // Rendered by `@switch`.
+    this.onrender = null;
+  };
+
+  Actions['case'].expressions = Actions['default'].expressions = function() { return []; };
+
+  /**
+   * Sets up a directive as a branch of a conditional `chain`: its element is
+   * taken out, and rendered as a subtemplate when `condition` is the first in
+   * the chain to be true. A `null` condition is always true.
+   *
+   * Returns the branch. A chain may have a `select()` function that picks the
+   * branch instead of the conditions.
+   * @api private
+   */
+
+  function conditional(dir, chain, condition) {
+    dir.stop();
+
+    var template = dir.template;
+
+    // When hydrating, this is the element rendered by the server.
+    var $rendered = $(dir.$el[0].lmRendered || []);
+
+    // Create a placeholder empty text code so we know where to ressurrent the
+    // element later on. (On the server, it's a comment that remembers the
+    // element.) `@else` finds the chain through this.
+    var $holder = $(LM.config.ssr ? createMarkerAfter(dir.$el) : createTextNodeAfter(dir.$el));
+    $holder[0].lmChain = chain;
+
+    // Remove the element so we can append it later on.
+    var $blueprint = dir.$el.remove();
+    var $el;
+
+    // Render as a subtemplate.
+    dir.sub = null;
+
+    var branch = {
+      condition: condition,
+
+      show: function() {
+        if (dir.sub) return;
+
+        if ($rendered.length) {
+          $el = $rendered;
+          $rendered = $([]);
+        } else {
+          $el = $blueprint.clone();
+
+          // Leave the directives to the blueprint; mark it for hydration.
+          if (LM.config.ssr) stripDirectives($el[0]).setAttribute('data-lmrendered', '');
+        }
+
+        $holder.after($el);
+        dir.sub = LM($el).locals(template.localContext).bind(template.model).render();
+        enter(template, $el, $blueprint[0].lmTransition);
+      },
+
+      hide: function() {
+        $rendered = $([]);
+
+        if (dir.sub) {
+          dir.sub.destroy();
+          delete dir.sub;
+        }
+        if ($el) {
+          leave($el, null, $blueprint[0].lmTransition);
+          $el = null;
+        }
+      }
+    };
+
+    chain.push(branch);
+    dir.onrender = function() { renderChain(chain); };
+    dir.onbind = function(model) { if (dir.sub) rebindSub(dir.sub, template, model); };
+
+    // Propagate destruction.
+    template.on('lm:destroy', function() { if (dir.sub) dir.sub.destroy(); });
+
+    return branch;
+  }
+
+  // Shows the first branch whose condition is true, and hides the rest.
+  function renderChain(chain) {
+    var active = chain.select ? chain.select() : _.find(chain, function(branch) {
+      return !branch.condition || branch.condition.value();
+    });
+
+    _.each(chain, function(branch) {
+      if (branch !== active) branch.hide();
+    });
+
+    if (active) active.show();
+  }
+
+  // Finds the chain of the `@if` before the directive's element, skipping
+  // whitespace and comments.
+  function previousChain(dir, name) {
+    var node = dir.$el[0].previousSibling;
+
+    while (node && !node.lmChain) {
+      if (node.nodeType === 1 || (node.nodeType === 3 && /\S/.test(node.nodeValue))) break;
+      node = node.previousSibling;
+    }
+
+    if (!node || !node.lmChain || node.lmChain.closed)
+      throw new Error(name + ": expected to come after an @if");
+
+    return node.lmChain;
+  }
+
+  // Finds the chain of the `@switch` that the directive's element is in.
+  function switchChain(dir, name) {
+    var chain = dir.$el.parent()[0].lmSwitch;
+    if (!chain) throw new Error(name + ": expected to be inside a @switch");
+
+    return chain;
+  }
+
+  /**
+   * Binds an event handler
+   */
+
+  Actions.on = function(event) {
+    var dir = this;
+    var $el = dir.$el;
+    var tpl = dir.template;
+    var src = this.value;
+    var fn, gen;
+
+    if (tpl.view && tpl.view[src]) {
+      // Work with Backbone view methods
+      fn = tpl.view[src];
+    }
+    else if ((gen = LM.compiled.handlers[src])) {
+      fn = gen(tpl.localContext);
+    }
+    else if (LM.config.csp) {
+      fn = Interpreter.handler(src, tpl.localContext);
+    }
+    else {
+      // Create a function closure that adds the local context into it
+      gen = new Function('ctx', handlerBody(src));
+      fn = gen(tpl.localContext);
+    }
+
+    // Bind the event
+    $el[on](event, fn);
+    tpl.on('lm:destroy', function() { $el[off](event, fn); });
+  };
+
+  /**
+   * Gives the element enter and leave transitions. Used on elements that come
+   * and go: those with `@if` (and its siblings) or `@show`, and `@each` items.
+   *
+   *     <div @if='attr("open")' @transition='fade'>...</div>
+   *
+   * This adds the classes `fade-enter` and `fade-leave` (then, right after,
+   * `fade-enter-active` and `fade-leave-active`) for as long as their CSS
+   * transition or animation runs. Elements are removed (or hidden) once the
+   * leave transition is done.
+   *
+   *     .fade-enter { opacity: 0; }
+   *     .fade-enter-active, .fade-leave-active { transition: opacity 0.3s; }
+   *     .fade-leave-active { opacity: 0; }
+   *
+   * Transitions in [LM.transitions] are done in JavaScript instead.
+   *
+   * There are no transitions on the first render of a template.
+   */
+
+  Actions.transition = function() {
+    this.$el[0].lmTransition = this.value;
+  };
+
+  Actions.transition.expressions = function() { return []; };
+
+  /**
+   * Transitions done in JavaScript, for use with [LM.actions.transition]. Each
+   * one may have an `enter` and a `leave` function that take the element and
+   * a `done` callback.
+   *
+   *     LM.transitions.slide = {
+   *       enter: function(el, done) { $(el).hide().slideDown(done); },
+   *       leave: function(el, done) { $(el).slideUp(done); }
+   *     };
+   *
+   *     <div @if='attr("open")' @transition='slide'>...</div>
+   */
+
+  LM.transitions = {};
+
+  /**
+   * Renders a partial from [LM.partials] inside the element, as a subtemplate.
+   * It gets the locals of the template, and the model given by `@with` (or
+   * else the template's model).
+   *
+   *     <div @include='"avatar"' @with='attr("author")'></div>
+   *
+   * A quoted name is taken as is; anything else is an expression for the name.
+   * The partial is made again when its name changes, and is bound to the new
+   * model when the `@with` model changes.
+   *
+   *     <div @include='attr("kind") -> val + "-card"'></div>
+   */
+
+  Actions.include = function() {
+    this.stop();
+
+    var dir = this;
+    var template = dir.template;
+    var el = dir.$el[0];
+    var literal = partialName(dir.value);
+    var expr = literal === null && dir.expr(dir.value);
+    var withExpr;
+    var current = {};
+
+    dir.onrender = function() {
+      if (el.lmWith && !withExpr) withExpr = dir.expr(el.lmWith);
+
+      var name = expr ? expr.value() : literal;
+      var model = withExpr ? withExpr.value() : template.model;
+
+      if (dir.sub && name === current.name) {
+        if (model !== current.model) {
+          current.model = model;
+          dir.sub.bind(model);
+        }
+
+        return dir.sub.locals(template.localContext).render();
+      }
+
+      if (dir.sub) dir.sub.destroy();
+      dir.$el.empty();
+      dir.sub = null;
+      current = { name: name, model: model };
+
+      if (!name) return;
+
+      var partial = LM.partials.get(name);
+      if (!partial) throw new Error("@include: no partial named '" + name + "'");
+
+      var $partial = $(partial).clone().appendTo(dir.$el);
+      dir.sub = LM($partial).locals(template.localContext).bind(model).render();
+    };
+
+    dir.onbind = function(model) {
+      if (!dir.sub) return;
+
+      current.model = withExpr ? withExpr.value() : model;
+      rebindSub(dir.sub, template, current.model);
+    };
+
+    // Propagate destruction.
+    template.on('lm:destroy', function() { if (dir.sub) dir.sub.destroy(); });
+  };
+
+  Actions.include.expressions = function(value) {
+    return partialName(value) === null ? [value] : [];
+  };
+
+  // Returns the name in a quoted `@include` value, or null if it's an expression.
+  function partialName(value) {
+    var m = value.match(/^\s*(["'])([^"']*)\1\s*$/);
+    return m ? m[2] : null;
+  }
+
+  /**
+   * The model for [LM.actions.include].
+   */
+
+  Actions['with'] = function() {
+    this.$el[0].lmWith = this.value;
+  };
+
+  /**
+   * Registry of partials for [LM.actions.include]. A partial is some markup
+   * (or an element) with one root element.
+   *
+   *     LM.partials.register('avatar',
+   *       '<img class="avatar" @at:src=\'attr("photo")\'>');
+   *
+   * Partials can also be kept in the page as `<script type="text/livemarkup">`
+   * with the name as its `id`. These are registered when first used.
+   *
+   *     <script type="text/livemarkup" id="avatar">
+   *       <img class="avatar" @at:src='attr("photo")'>
+   *     </script>
+   */
+
+  LM.partials = {
+    templates: {},
+
+    register: function(name, html) {
+      this.templates[name] = partialElement(name, html);
+      return this;
+    },
+
+    get: function(name) {
+      if (!this.templates[name]) {
+        var script = root.document && root.document.getElementById(name);
+        if (script && script.type === 'text/livemarkup') this.register(name, script);
+      }
+
+      return this.templates[name];
+    }
+  };
+
+  /**
+   * Registers a component: a template of its own, with its own locals, made
+   * from the `props` given by whoever uses it.
+   *
+   *     LM.component('user-card', {
+   *       template: "<div class='card'><b @text='attr(user, \"name\")'></b><slot></slot></div>",
+   *       props: ['user'],
+   *       update: function(props) {
+   *         this.locals({ isAdmin: props.user.get('role') === 'admin' });
+   *       }
+   *     });
+   *
+   * `initialize` is called with the props before the first render, with the
+   * component's [Template] as `this`. It's only called once: when props
+   * change, the component is updated in place. `update` is called with the
+   * props before the first render and whenever they change, so locals made
+   * from the props belong there. See [LM.actions.component] for how to use it.
+   */
+
+  LM.component = function(name, options) {
+    LM.components[name.toLowerCase()] = _.extend({ props: [] }, options, {
+      element: partialElement(name, options.template)
+    });
+
+    return this;
+  };
+
+  LM.components = {};
+
+  /**
+   * Renders a component from [LM.component()] inside the element. Components
+   * can also be used as custom elements.
+   *
+   *     <div @component='"user-card"' @prop:user='-> u'></div>
+   *     <user-card @prop:user='-> u'></user-card>
+   *
+   * Props are given with `@prop`, and the component is rendered again when
+   * they change. The component sees only its props (and whatever its
+   * `initialize` and `update` add), not the locals of the template that uses
+   * it.
+   *
+   * The contents of the element go to the `<slot>`s of the component: those
+   * with a `slot='name'` attribute to `<slot name='name'>`, and the rest to
+   * the `<slot>` without a name. They're rendered with the template that uses
+   * the component. Slots with no contents keep what's inside them.
+   *
+   *     <user-card @prop:user='-> u'>
+   *       <a slot='actions' @on:click='view.follow(u)'>Follow</a>
+   *       Member since <span @text='attr(u, "since")'></span>
+   *     </user-card>
+   */
+
+  Actions.component = function() {
+    this.stop();
+
+    var dir = this;
+    var parent = dir.template;
+    var el = dir.$el[0];
+    var literal = partialName(dir.value);
+    var expr = literal === null && dir.expr(dir.value);
+    var $contents = dir.$el.contents().remove();
+    var component;
+
+    el.lmComponent = dir;
+
+    dir.onrender = function() {
+      if (dir.sub) return;
+
+      var name = expr ? expr.value() : literal;
+      component = LM.components[String(name).toLowerCase()];
+      if (!component) throw new Error("@component: no component named '" + name + "'");
+
+      var props = {};
+      _.each(el.lmProps, function(expr, param) {
+        props[componentProp(component, param)] = expr.value();
+      });
+
+      // The contents are rendered once, with the template using the component.
+      dir.slots = _.map(_.filter($contents.get(), isElement), function(node) {
+        return LM(node).locals(parent.localContext).bind(parent.model).render();
+      });
+
+      create(props);
+    };
+
+    dir.onbind = function(model) {
+      _.each(dir.slots, function(tpl) { rebindSub(tpl, parent, model); });
+    };
+
+    // Called by `@prop` on the element when a prop changes. The component is
+    // updated in place: its expressions (and those of its subtemplates) are ran
+    // again with the new props, since some (like `attr(user, "name")`) listen
+    // to what the old ones were.
+    dir.setProp = function(param, value) {
+      if (!dir.sub) return;
+
+      var name = componentProp(component, param);
+      if (dir.sub.props[name] === value) return;
+
+      var tpl = dir.sub;
+      tpl.props = _.extend({}, tpl.props);
+      tpl.props[name] = value;
+      tpl.locals(tpl.props);
+      if (component.update) component.update.call(tpl, tpl.props);
+      rebindTemplate(tpl);
+    };
+
+    function create(props) {
+      var $root = $(component.element).clone();
+
+      fillSlots($root, $contents);
+      dir.$el.append($root);
+
+      var tpl = dir.sub = LM($root).locals(props);
+      tpl.props = props;
+      if (component.initialize) component.initialize.call(tpl, props);
+      if (component.update) component.update.call(tpl, props);
+      tpl.render();
+    }
+
+    // Propagate destruction.
+    parent.on('lm:destroy', function() {
+      if (dir.sub) dir.sub.destroy();
+      _.each(dir.slots, function(tpl) { tpl.destroy(); });
+    });
+  };
+
+  Actions.component.expressions = Actions.include.expressions;
+
+  /**
+   * Makes a Backbone view, puts its element inside this one and renders it.
+   * The view is removed (with `View#remove()`) when the template is destroyed.
+   *
+   *     <div @view='SummaryView' @view-options='-> { model: person }'></div>
+   *
+   * The class is looked up in the locals, then in the globals (so names like
+   * `App.Views.Summary` work). It can also be an expression.
+   *
+   *     <div @view='-> views.summary'></div>
+   *
+   * The view is made again when the `model` (or `collection`) of its options
+   * changes. It's kept in the `views` of the template's view (`view.views`),
+   * under the name given or else the name of the class. Since attribute names
+   * lose their case, dashed names are camelized (`@view:summary-view` gives
+   * `views.summaryView`).
+   *
+   * The contents of the element are left to the view; their directives aren't
+   * parsed.
+   */
+
+  Actions.view = function(param) {
+    this.stop();
+
+    var dir = this;
+    var template = dir.template;
+    var el = dir.$el[0];
+    var name = param ? camelize(param) : dir.value;
+    var isPath = /^[\w$.]+$/.test(dir.value);
+    var classExpr = !isPath && dir.expr(dir.value);
+    var optionsExpr, current;
+
+    dir.onrender = function() {
+      if (el.lmViewOptions && !optionsExpr) optionsExpr = dir.expr(el.lmViewOptions);
+
+      var options = (optionsExpr && optionsExpr.value()) || {};
+      if (current && current.model === options.model && current.collection === options.collection)
+        return;
+
+      var View = isPath ? viewClass(template, dir.value) : classExpr.value();
+      if (typeof View !== 'function') throw new Error("@view: no view named '" + dir.value + "'");
+
+      remove();
+      current = new View(options);
+      if (current.el !== el) dir.$el.append(current.el);
+      current.render();
+
+      var parent = parentView(template);
+      if (parent) (parent.views || (parent.views = {}))[name] = current;
+    };
+
+    function remove() {
+      if (!current) return;
+
+      var parent = parentView(template);
+      if (parent && parent.views && parent.views[name] === current) delete parent.views[name];
+
+      current.remove();
+      current = null;
+    }
+
+    template.on('lm:destroy', remove);
+  };
+
+  Actions.view.expressions = function(value) {
+    return /^[\w$.]+$/.test(value) ? [] : [value];
+  };
+
+  /**
+   * The options for [LM.actions.view].
+   */
+
+  Actions['view-options'] = function() {
+    this.$el[0].lmViewOptions = this.value;
+  };
+
+  /**
+   * Runner.
+   * (Does nothing really, since the formatter will run it anyway)
    */
 
   Actions.run = function() {
@@ -533,20 +1932,45 @@
 
   /**
    * Each
+   *
+   * The list can be narrowed down with `where` and sorted with `sortBy`. The
+   * collection itself is left untouched.
+   *
+   *     <ul @each='p in -> people | where: p.get("active") | sortBy: "name"'>
+   *
+   * With `@each:move`, items that change places are animated into their new
+   * place (see [moveItems()]).
    */
 
-  Actions.each = function() {
+  Actions.each = function(param) {
     this.stop();
 
+    if (param && param !== 'move')
+      throw new Error("@each: unknown option '" + param + "'");
+
+    this.move = !!param;
+
     var dir = this;
     var parent = dir.template;
     var $list = dir.$el;
-    var $item = $list.children().remove();
-    var m = dir.value.match(/^(.*?)(?:,\s*(.*?))? in (.*)$/);
-    if (!m) throw new Error("@each: unexpected format");
+    var marker = _.find($list[0].childNodes, readMarker);
+    var $item;
+
+    // When hydrating, take the blueprint from the marker, and reuse the
+    // server-rendered items.
+    if (marker) {
+      $item = $(readMarker(marker));
+      $list[0].removeChild(marker);
+      dir.adoptees = _.toArray($list.children());
+    } else {
+      $item = $list.children().remove();
+    }
+
+    var m = parseEach(dir.value);
 
     var expr = dir.expr(m[3]);
     var valName, keyName;
+    dir.clauses = m.clauses;
 
     if (m[2]) {
       keyName = m[1]; valName = m[2];
@@ -557,31 +1981,143 @@
     if ($item.length !== 1)
       throw new Error("@each: expected only 1 child node, found "+$item.length);
 
+    if (LM.config.ssr) $list.prepend(createMarker($item[0]));
+
+    // Give the items the new locals, keeping their own.
+    dir.onbind = function() {
+      _.each(_.pluck(dir.items || [], 'tpl').concat(_.values(dir.subs)), function(tpl) {
+        rebindSub(tpl, parent, tpl.model, _.pick(tpl.localContext, valName, keyName));
+      });
+    };
+
+    // Make sure that the subtemplates will clean up.
+    parent.on('lm:destroy', function() {
+      _.each(dir.items, function(entry) { entry.tpl.destroy(); });
+      _.each(dir.subs, function(tpl) { tpl.destroy(); });
+      if (dir.unwatch) dir.unwatch();
+    });
+
     this.onrender = function() {
       var list = expr.value();
 
       if (isCollection(list))
         eachCollection(list, $list, $item, valName, keyName, parent, dir);
       else
-        eachArray(list, $list, $item, valName, keyName, parent, dir);
+        eachArray(project(dir, list, valName), $list, $item, valName, keyName, parent, dir);
+
+      // Discard server-rendered items that weren't used.
+      if (dir.adoptees) {
+        $(dir.adoptees).remove();
+        delete dir.adoptees;
+      }
     };
   };
 
+  // Tells [LM.compile()] which part of `@each` is an expression.
+  Actions.each.expressions = function(value) {
+    var m = parseEach(value);
+    return [m[3]].concat(_.map(m.clauses, function(clause) { return '-> ' + clause.code; }));
+  };
+
+  /**
+   * Sets the key that `@each` uses to tell its items apart when the array
+   * changes. Items with the same key keep their elements across renders.
+   * Without it, items are matched by their value.
+   *
+   *     <ul @each='p in -> people' @key='p.id'>
+   */
+
+  Actions.key = function() {
+    this.$el[0].lmKey = this.value;
+  };
+
+  // Tells [LM.compile()] that `@key` is run as a formatter.
+  Actions.key.expressions = function(value) {
+    return ['-> ' + value];
+  };
+
+  function parseEach(value) {
+    var m = value.match(/^(.*?)(?:,\s*(.*?))? in (.*)$/);
+    if (!m) throw new Error("@each: unexpected format");
+
+    // Take out the `| where: ...` and `| sortBy: ...` clauses.
+    var p = parseClauses(m[3], ['where', 'sortBy']);
+    m[3] = p.code;
+    m.clauses = p.clauses;
+
+    return m;
+  }
+
+  // Returns the items in `list` that pass the `where` clauses of `@each`,
+  // sorted by its `sortBy` clauses. A quoted `sortBy` sorts by that attribute.
+  function project(dir, list, valName) {
+    if (!dir.clauses.length) return list;
+    if (!_.isArray(list)) throw new Error("@each: where/sortBy need an array or a collection");
+
+    var locals = dir.template.localContext;
+
+    return _.inject(dir.clauses, function(items, clause) {
+      var attr = clause.name === 'sortBy' && clause.code.match(/^(['"])(.*)\1$/);
+      if (attr) return _.sortBy(items, function(item) { return getKey(item, attr[2]); });
+
+      var value = itemValue(dir, clause.code);
+      function run(item) {
+        var obj = _.extend({}, locals);
+        obj[valName] = item;
+        return value(obj);
+      }
+
+      return clause.name === 'where' ? _.filter(items, run) : _.sortBy(items, run);
+    }, list);
+  }
+
+  // Listens to the `events` (an object of callbacks) of the collection `list`,
+  // and stops listening to the collection of the last render. Returns false if
+  // `list` is already being listened to.
+  function watchCollection(dir, list, events) {
+    if (dir.collection === list) return false;
+
+    var view = dir.template.view;
+    if (dir.unwatch) dir.unwatch();
+
+    _.each(events, function(fn, event) { listen(view, list, event, fn); });
+
+    dir.collection = list;
+    dir.unwatch = function() {
+      _.each(events, function(fn, event) { unlisten(view, list, event, fn); });
+    };
+
+    return true;
+  }
+
   function eachCollection(list, $list, $item, valName, keyName, parent, dir) {
-    var view = parent.view;
-    var subs = {};
+    var subs = dir.subs || (dir.subs = {});
+
+    // With `where`/`sortBy`, render the projection as an array instead, and
+    // render it again when anything in the collection changes.
+    if (dir.clauses.length) {
+      watchCollection(dir, list, {
+        'add remove reset sort change': function() { dir.queue(); }
+      });
+
+      return eachArray(project(dir, list.models, valName), $list, $item, valName, null, parent, dir);
+    }
 
-    listenVia(view, parent, list, 'add', add);
-    listenVia(view, parent, list, 'reset', reset);
-    listenVia(view, parent, list, 'remove', remove);
-    listenVia(view, parent, list, 'sort', sort);
+    if (!watchCollection(dir, list, { add: add, reset: reset, remove: remove, sort: sort }))
+      return;
 
-    // Reset first if it already has items
-    if (list.length) reset(list);
+    // Reset first if it already has items (or had, from another collection)
+    if (list.length || !_.isEmpty(subs)) reset(list);
 
+    // Puts it in its place in the collection (from `at`, or the comparator).
     function add(model) {
       var tpl = append(model);
+      var index = list.indexOf(model);
+      var next = _.find(list.models.slice(index + 1), function(m) { return subs[m.cid]; });
+
+      if (next) tpl.$el.insertBefore(subs[next.cid].$el);
       tpl.$el.trigger('lm:append');
+      enter(parent, tpl.$el, tpl.$el[0].lmTransition);
     }
 
     function remove(model) {
@@ -589,36 +2125,40 @@
       if (!tpl) return;
 
       tpl.destroy();
-      var prevented = triggerAndCheck(tpl.$el, 'lm:remove');
-      if (!prevented) tpl.$el.remove();
+      leave(tpl.$el, 'lm:remove', tpl.$el[0].lmTransition);
+      delete subs[model.cid];
     }
 
     function reset(models) {
-      _.each(subs, function(tpl) {
+      _.each(subs, function(tpl, cid) {
         tpl.destroy();
-        var prevented = triggerAndCheck(tpl.$el, 'lm:remove-reset');
-        if (!prevented) tpl.$el.remove();
+        leave(tpl.$el, 'lm:remove-reset', tpl.$el[0].lmTransition);
+        delete subs[cid];
       });
 
       models.each(function(model) {
         var tpl = append(model);
         tpl.$el.trigger('lm:append-reset');
+        enter(parent, tpl.$el, tpl.$el[0].lmTransition);
       });
       parent.trigger('lm:reset');
     }
 
-    // Sort by re-appending them one-by-one.
+    // Sort by moving the ones that are out of order.
     function sort(models) {
-      models.each(function(model) {
-        var tpl = subs[model.cid];
-        if (tpl) $list.append(tpl.$el);
-      });
+      var els = _.compact(models.map(function(model) {
+        return subs[model.cid] && subs[model.cid].$el[0];
+      }));
+
+      var moves = measureItems(dir, els);
+      placeItems($list[0], els);
+      moveItems(moves);
     }
 
     // Appends a model and triggers it.
     function append(model) {
       // Create a subtemplate.
-      var tpl = LM($item.clone());
+      var tpl = LM(newItem(dir, $item));
       tpl.locals(parent.localContext);
       tpl.locals(valName, model);
       tpl.render();
@@ -630,19 +2170,202 @@
     }
   }
 
-  function eachArray(list, $list, $item, valName, keyName, parent, dir) {
-    _.each(list, function(item, key) {
-      // Create a subtemplate.
-      var tpl = LM($item.clone()).locals(parent.locals);
-      if (keyName) tpl.locals(keyName, key);
-      tpl.locals(valName, item);
-      tpl.render();
+  // Returns the element for a new `@each` item: a server-rendered one when
+  // hydrating, or else a copy of `$item`.
+  function newItem(dir, $item) {
+    var el = dir.adoptees && dir.adoptees.shift();
+    return el ? $(el) : $item.clone();
+  }
+
+  // Renders an array (or a plain object) against the items of the last render.
+  // Items are matched by their `@key` (or else by the item itself), so that
+  // existing subtemplates are reused and moved, and only the new ones are made.
+  function eachArray(list, $list, $item, valName, keyName, parent, dir) {
+    var keyOf = $list[0].lmKey && itemValue(dir, $list[0].lmKey);
+    var old = dir.items || [];
+    var items = [];
+    var moves = measureItems(dir, _.map(old, function(entry) { return entry.tpl.$el[0]; }));
+
+    _.each(list, function(item, key) {
+      var locals = {};
+      locals[valName] = item;
+      if (keyName) locals[keyName] = key;
+
+      var id = keyOf ? keyOf(_.extend({}, parent.localContext, locals)) :
+        (_.isArray(list) ? item : key);
+
+      // Reuse the subtemplate of the last render, or create one.
+      var entry = takeEntry(old, id);
+      if (!entry) {
+        entry = { id: id, tpl: LM(newItem(dir, $item)).locals(parent.localContext), entering: true };
+      }
+
+      entry.tpl.locals(locals).render();
+      items.push(entry);
+    });
+
+    // Discard the items that are gone.
+    _.each(old, function(entry) {
+      if (entry.taken) return;
+
+      entry.tpl.destroy();
+      leave(entry.tpl.$el, 'lm:remove', entry.tpl.$el[0].lmTransition);
+    });
+
+    _.each(items, function(entry) { delete entry.taken; });
+    placeItems($list[0], _.map(items, function(entry) { return entry.tpl.$el[0]; }));
+    moveItems(moves);
+    dir.items = items;
+
+    _.each(items, function(entry) {
+      if (!entry.entering) return;
+
+      delete entry.entering;
+      enter(parent, entry.tpl.$el, entry.tpl.$el[0].lmTransition);
+    });
+  }
+
+  // Finds the first entry in `entries` with the given `id` that isn't taken
+  // yet, and takes it.
+  function takeEntry(entries, id) {
+    var entry = _.find(entries, function(entry) {
+      return !entry.taken && entry.id === id;
+    });
+
+    if (entry) entry.taken = true;
+    return entry;
+  }
+
+  // Compiles `code` (like a `@key`, or a `where` clause) once, and returns a
+  // function that runs it with the `locals` of an item and returns its value.
+  function itemValue(dir, code) {
+    var item = { $el: dir.$el, template: { localContext: null } };
+    var expr = new Expression('-> ' + code, item);
+
+    return function(locals) {
+      item.template.localContext = locals;
+      expr._formatters = [];
+      return expr.run().value();
+    };
+  }
+
+  // Splits the `| name: code` clauses (for the clause `names` given) off an
+  // expression. Returns `{ code, clauses }`.
+  function parseClauses(code, names) {
+    var parts = code.split(new RegExp('\\s+\\|\\s+(?=(?:' + names.join('|') + '):)'));
+
+    return {
+      code: parts.shift(),
+      clauses: _.map(parts, function(part) {
+        var c = part.match(/^(\w+):\s*([\s\S]*)$/);
+        return { name: c[1], code: c[2] };
+      })
+    };
+  }
+
+  // Puts the elements `els` in order inside `parent`. The longest run of them
+  // that's already in order stays put, and only the rest are moved.
+  function placeItems(parent, els) {
+    var children = _.toArray(parent.childNodes);
+    var stay = inOrder(_.map(els, function(el) {
+      return el.parentNode === parent ? _.indexOf(children, el) : -1;
+    }));
+
+    var next = null;
+    for (var i = els.length - 1; i >= 0; i--) {
+      if (!stay[i]) parent.insertBefore(els[i], next);
+      next = els[i];
+    }
+  }
+
+  // Finds the longest increasing subsequence of `indices` (skipping the -1's),
+  // and returns which of them are in it.
+  function inOrder(indices) {
+    var tails = [], prev = [], keep = [];
+    var byIndex = function(i) { return indices[i]; };
+
+    _.each(indices, function(index, i) {
+      if (index < 0) return;
+
+      var pos = _.sortedIndex(tails, i, byIndex);
+      prev[i] = pos ? tails[pos - 1] : -1;
+      tails[pos] = i;
+    });
+
+    for (var i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = prev[i])
+      keep[i] = true;
+
+    return keep;
+  }
+
+  /**
+   * Takes note of where the elements `els` of an `@each:move` list are, so
+   * that [moveItems()] can animate them from there. Returns nothing if there's
+   * nothing to animate.
+   * @api private
+   */
+
+  function measureItems(dir, els) {
+    if (!dir.move || !dir.template.rendered) return;
+
+    return _.map(els, function(el) {
+      var rect = el.getBoundingClientRect();
+      return { el: el, left: rect.left, top: rect.top };
+    });
+  }
+
+  /**
+   * Animates the elements measured by [measureItems()] from where they were
+   * to where they are now (the FLIP technique). Each element that moved gets
+   * an `lm:move` event, given the offset from its new place back to its old
+   * one (`dx` and `dy`, in pixels); it can be prevented to animate it some
+   * other way.
+   *
+   *     $list.on('lm:move', function(e, dx, dy) { ... });
+   *
+   * Otherwise, it's moved back to where it was with a CSS transform, then let
+   * go with the class `move-move` (or `fade-move` for an item with
+   * `@transition='fade'`) for as long as its transition runs.
+   *
+   *     .move-move { transition: transform 0.3s; }
+   *
+   * @api private
+   */
+
+  function moveItems(moves) {
+    _.each(moves, function(move) {
+      var el = move.el;
+      if (!el.parentNode) return;
+
+      var rect = el.getBoundingClientRect();
+      var dx = move.left - rect.left;
+      var dy = move.top - rect.top;
+
+      if (!dx && !dy) return;
+      if (triggerAndCheck($(el), 'lm:move', [dx, dy])) return;
+
+      slide(el, dx, dy, (el.lmTransition || 'move') + '-move');
+    });
+  }
+
+  // Moves `el` back by (dx, dy) with a transform, then transitions it into
+  // place with the class `className`.
+  function slide(el, dx, dy, className) {
+    var style = el.style;
+    var $el = $(el);
+
+    if (el.lmSlide) el.lmSlide();
+
+    style.transitionDuration = '0s';
+    style.transform = style.webkitTransform = 'translate(' + dx + 'px, ' + dy + 'px)';
+    el.offsetWidth; // Reflow, so it starts from there.
 
-      // Use it.
-      $list.append(tpl.$el);
+    $el.addClass(className);
+    style.transitionDuration = style.transform = style.webkitTransform = '';
 
-      // Make sure that the subtemplate will clean up.
-      parent.on('lm:destroy', function() { tpl.destroy(); });
+    el.lmSlide = waitTransition(el, function() {
+      delete el.lmSlide;
+      $el.removeClass(className);
     });
   }
 
@@ -666,9 +2389,11 @@
    */
 
   function Expression(code, directive) {
+    this.source = code;
     this.code = Expression.expand(code);
     this.directive = directive;
     this._formatters = [];
+    this._unbinds = [];
   }
 
   /**
@@ -683,19 +2408,81 @@
     }, null);
   };
 
+  /**
+   * Listens to `event` on `model` until the expression is unbound: when it's
+   * bound to another model, or its template is destroyed.
+   */
+
+  Expression.prototype.listen = function(model, event, fn) {
+    var view = this.directive.template.view;
+
+    listen(view, model, event, fn);
+    this.onunbind(function() { unlisten(view, model, event, fn); });
+  };
+
+  /**
+   * Registers a function to undo something on [Expression#unbind()].
+   */
+
+  Expression.prototype.onunbind = function(fn) {
+    this._unbinds.push(fn);
+  };
+
+  /**
+   * Stops listening to everything the modifiers listened to.
+   */
+
+  Expression.prototype.unbind = function() {
+    _.each(this._unbinds, function(fn) { fn(); });
+    this._unbinds = [];
+  };
+
+  /**
+   * Runs the expression again from scratch, as when its directive is bound
+   * to another model.
+   */
+
+  Expression.prototype.rebind = function() {
+    this.unbind();
+    this._formatters = [];
+
+    return this.run();
+  };
+
   /**
    * Runs the given expression.
    */
 
   Expression.prototype.run = function() {
-    var src = 'with(locals){with(helpers){ctx.' + this.code + ';}}';
-    var fn = new Function('ctx', '$el', 'helpers', 'locals', src);
     var ctx = new ExpressionContext(this);
-    fn(ctx, this.directive.$el, LM.helpers, this.directive.template.localContext);
+    var locals = this.directive.template.localContext;
+    var fn = LM.compiled.expressions[this.source];
+
+    if (!fn && LM.config.csp) {
+      Interpreter.run(this.source, ctx, this.directive.$el, locals);
+      return this;
+    }
+
+    // Made once, so running it again (like for each `@each` item) is cheap.
+    if (!fn) fn = this._fn = this._fn ||
+      Function.apply(null, Expression.params.concat([Expression.body(this.source)]));
+    fn(ctx, this.directive.$el, LM.helpers, locals);
 
     return this;
   };
 
+  /**
+   * Returns the function body that runs the expression `code`. The function
+   * takes the arguments in [Expression.params].
+   * @api private
+   */
+
+  Expression.body = function(code) {
+    return 'with(locals){with(helpers){ctx.' + Expression.expand(code) + ';}}';
+  };
+
+  Expression.params = ['ctx', '$el', 'helpers', 'locals'];
+
   /**
    * Expands the shortcuts in the expression code.
    *
@@ -746,6 +2533,9 @@
    *       });
    *       return this;
    *     }
+   *
+   * Listen to models with `this.expression.listen(model, event, fn)`, so that
+   * it's undone when the template is destroyed or bound to another model.
    */
 
   var Modifiers = ExpressionContext.prototype;
@@ -756,62 +2546,675 @@
    *
    * This is actually a macro that expands to a `.on()` (to listen for change
    * events) and a `.format()` (to do `model.get()`).
+   *
+   * You can listen to many attributes by separating them with spaces. The
+   * value will then be an array of their values.
+   *
+   *     attr("first_name last_name") -> val.join(" ")
+   *
+   * Dotted paths follow nested models (or plain objects), listening to the
+   * models along the way.
+   *
+   *     attr("author.name")
    */
 
   Modifiers.attr = function(model, name) {
     var dir = this.directive;
+    var ctx = this;
 
     if (!name) { name = model; model = null; }
     if (!model) { model = dir.model; }
     if (!model) { throw new Error("attr(): no model to bind to"); }
 
+    var names = _.compact(name.split(/\s+/));
+    var paths = _.map(names, function(name) {
+      return watchPath(ctx, model, name.split('.'));
+    });
+
     // Leave a message for `@value` to pick up
-    if (!dir.attrib) {
-      dir.attrib = { model: model, field: name };
+    if (!dir.attrib && paths.length === 1) {
+      dir.attrib = paths[0];
     }
 
-    // FIXME doesn't support multi
-    this.on(model, 'change:'+name);
-    this.format(function() { return model.get(name); });
+    this.format(function() {
+      var values = _.map(paths, function(path) { return path.value(); });
+      return paths.length > 1 ? values : values[0];
+    });
 
     return this;
   };
 
+  /**
+   * Listens to changes to a path of `keys` in `model` (like `['author',
+   * 'name']`) and re-renders the directive. Returns an object with:
+   *
+   *   - model  : the model (or object) that holds the last key
+   *   - field  : the last key
+   *   - value  : function that returns the value
+   *
+   * The models in the middle of the path are listened to as well, and are
+   * listened to again when they're replaced.
+   *
+   * @api private
+   */
+
+  function watchPath(ctx, model, keys) {
+    var dir = ctx.directive;
+    var view = dir.template.view;
+    var path = { model: model, field: keys[keys.length-1] };
+    var bound = [];
+
+    path.value = function() {
+      return _.inject(keys, function(obj, key) { return getKey(obj, key); }, model);
+    };
+
+    if (keys.length === 1) {
+      ctx.on(model, 'change:'+keys[0]);
+      return path;
+    }
+
+    ctx.expression.listen(model, 'change:'+keys[0], update);
+    ctx.expression.onunbind(unbind);
+    rebind();
+
+    function update() {
+      rebind();
+      dir.queue();
+    }
+
+    // Listens to the models in the middle of the path.
+    function rebind() {
+      unbind();
+
+      var obj = model;
+      for (var i=1; i<keys.length; i++) {
+        obj = getKey(obj, keys[i-1]);
+        if (obj && obj.on) {
+          listen(view, obj, 'change:'+keys[i], update);
+          bound.push({ obj: obj, event: 'change:'+keys[i] });
+        }
+      }
+
+      path.model = obj;
+    }
+
+    // Stops listening to exactly what `rebind()` listened to, since plain
+    // objects in the path are skipped.
+    function unbind() {
+      _.each(bound, function(pair) {
+        unlisten(view, pair.obj, pair.event, update);
+      });
+      bound = [];
+    }
+
+    return path;
+  }
+
   /**
    * Event binding modifier.
    */
 
   Modifiers.on = function(model, name) {
     var dir = this.directive;
-    var template = dir.template;
-    var view = template.view;
 
     if (!name) { name = model; model = null; }
     if (!model) { model = dir.model; }
     if (!model) { throw new Error("on(): no model to bind to"); }
 
     // Create an event listener to `model`.
-    listenVia(view, template, model, name, function() {
-      dir.render();
+    this.expression.listen(model, name, function() {
+      dir.queue();
+    });
+
+    return this;
+  };
+
+  /**
+   * Validity modifier. Its value is true when the template passes validation
+   * (see [Template#isValid()]), and it updates as that changes.
+   *
+   *     <button @at:disabled='valid() -> !val'>Save</button>
+   */
+
+  Modifiers.valid = function(model) {
+    var dir = this.directive;
+    var template = dir.template;
+
+    var onvalidate = function() { dir.queue(); };
+
+    watchErrors(template, model || dir.model);
+    template.on('lm:validate', onvalidate);
+    this.expression.onunbind(function() { template.$el[off]('lm:validate', onvalidate); });
+
+    this.format(function() { return template.isValid(); });
+    return this;
+  };
+
+  /**
+   * Formatter
+   */
+
+  Modifiers.format = function(fn) {
+    var dir = this.directive;
+
+    // Bind to model if need be.
+    var model = dir.model;
+    if (model) fn = $.proxy(fn, model);
+
+    this.expression._formatters.push(fn);
+    return this;
+  };
+
+  // ----------------------------------------------------------------------------
+
+  /**
+   * CSP-safe interpreter.
+   *
+   * Parses and evaluates expressions without `new Function` or `with`. Used
+   * in place of [Expression#run()] when `LM.config.csp` is on.
+   *
+   * It understands a subset of JavaScript that is enough for directives:
+   * literals, arrays and objects, member access, calls, `new`, unary, binary,
+   * logical and ternary operators, assignments, and simple function literals
+   * (`function(val) { return ...; }`).
+   *
+   *     Interpreter.run("attr('name') -> val.toUpperCase()", ctx, $el, locals);
+   *
+   * @api private
+   */
+
+  var Interpreter = {};
+
+  var parseCache = {};
+
+  var binaryPrecedence = {
+    '||': 1, '&&': 2,
+    '==': 3, '!=': 3, '===': 3, '!==': 3,
+    '<': 4, '>': 4, '<=': 4, '>=': 4, 'in': 4, 'instanceof': 4,
+    '+': 5, '-': 5,
+    '*': 6, '/': 6, '%': 6
+  };
+
+  var binaryOps = {
+    '==':  function(a, b) { return a == b; },
+    '!=':  function(a, b) { return a != b; },
+    '===': function(a, b) { return a === b; },
+    '!==': function(a, b) { return a !== b; },
+    '<':   function(a, b) { return a < b; },
+    '>':   function(a, b) { return a > b; },
+    '<=':  function(a, b) { return a <= b; },
+    '>=':  function(a, b) { return a >= b; },
+    '+':   function(a, b) { return a + b; },
+    '-':   function(a, b) { return a - b; },
+    '*':   function(a, b) { return a * b; },
+    '/':   function(a, b) { return a / b; },
+    '%':   function(a, b) { return a % b; },
+    'in':  function(a, b) { return a in b; },
+    'instanceof': function(a, b) { return a instanceof b; }
+  };
+
+  var unaryOps = {
+    '!': function(a) { return !a; },
+    '-': function(a) { return -a; },
+    '+': function(a) { return +a; },
+    'typeof': function(a) { return typeof a; }
+  };
+
+  /**
+   * Runs an expression (`attr('x') -> val + 1`) against a modifier context.
+   * The first identifier of the expression is looked up in `ctx`, just like
+   * the `ctx.` prefix does in [Expression#run()].
+   */
+
+  Interpreter.run = function(src, ctx, $el, locals) {
+    var program = Interpreter.parse(src);
+    var params = { ctx: ctx, $el: $el, helpers: LM.helpers, locals: locals };
+    var scope = { objects: [LM.helpers, locals, params], self: root, ctx: ctx };
+
+    if (program.head) evaluate(program.head, scope);
+
+    if (program.body) {
+      ctx.format(function(val) {
+        var inner = { objects: [{ val: val }].concat(scope.objects), self: this, ctx: ctx };
+        return evaluate(program.body, inner);
+      });
+    }
+    else if (!program.head) {
+      ctx.format(function() {});
+    }
+  };
+
+  /**
+   * Returns an event handler function for `@on` that runs `src` with the
+   * event as `e`.
+   */
+
+  Interpreter.handler = function(src, locals) {
+    var program = Interpreter.parse(src, true);
+
+    return function(e) {
+      evaluate(program.body, { objects: [{ e: e }, locals], self: this });
+    };
+  };
+
+  /**
+   * Parses a string into `{ head, body }`, where `head` is the modifier chain
+   * and `body` is what comes after `->`. If `statements` is true, the whole
+   * string is treated as a body.
+   */
+
+  Interpreter.parse = function(src, statements) {
+    var key = (statements ? '!' : '') + src;
+    if (parseCache[key]) return parseCache[key];
+
+    var p = new Parser(tokenize(src));
+    var program = {};
+
+    if (statements) {
+      program.body = p.sequence();
+    } else {
+      while (p.peek('.')) p.next();
+      if (!p.peek('->') && !p.done()) program.head = rootInContext(p.expression());
+      if (p.accept('->')) program.body = p.sequence();
+    }
+
+    if (!p.done()) p.fail();
+
+    return (parseCache[key] = program);
+  };
+
+  function tokenize(src) {
+    var re = /\s*(?:(\d+(?:\.\d+)?(?:[eE][-+]?\d+)?|\.\d+)|([A-Za-z_$][\w$]*)|("(?:[^"\\]|\\[\s\S])*"|'(?:[^'\\]|\\[\s\S])*')|(->|===|!==|==|!=|<=|>=|&&|\|\||[-+*\/%<>!=?:.,;()\[\]{}]))/g;
+    var tokens = [], pos = 0, m;
+
+    while (pos < src.length) {
+      re.lastIndex = pos;
+      m = re.exec(src);
+
+      if (!m || m.index !== pos) {
+        if (/^\s*$/.test(src.substr(pos))) break;
+        throw new SyntaxError("Livemarkup: unexpected '" + src.substr(pos).replace(/^\s+/, '').charAt(0) + "' in: " + src);
+      }
+
+      if (m[1]) tokens.push({ type: 'num', value: parseFloat(m[1]) });
+      else if (m[2]) tokens.push({ type: 'name', value: m[2] });
+      else if (m[3]) tokens.push({ type: 'str', value: unquote(m[3]) });
+      else tokens.push({ type: 'punc', value: m[4] });
+
+      pos = re.lastIndex;
+    }
+
+    tokens.src = src;
+    return tokens;
+  }
+
+  function unquote(str) {
+    var escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", v: "\v", 0: "\0" };
+
+    return str.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, function(_, c) {
+      if (c.length > 1) return String.fromCharCode(parseInt(c.substr(1), 16));
+      return escapes.hasOwnProperty(c) ? escapes[c] : c;
     });
+  }
+
+  // Makes the left-most identifier of a modifier chain refer to the context,
+  // turning `attr("x").format(fn)` into `ctx.attr("x").format(fn)`.
+  function rootInContext(node) {
+    if (node.type === 'name') return { type: 'ctx', name: node.name };
+    if (node.type === 'call') return _.extend({}, node, { callee: rootInContext(node.callee) });
+    if (node.type === 'member') return _.extend({}, node, { object: rootInContext(node.object) });
+
+    throw new SyntaxError("Livemarkup: expected a modifier in: " + node.src);
+  }
+
+  /**
+   * Recursive-descent parser producing a small AST.
+   */
+
+  function Parser(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  Parser.prototype.done = function() {
+    return this.pos >= this.tokens.length;
+  };
+
+  Parser.prototype.peek = function(value) {
+    var t = this.tokens[this.pos];
+    return t && (t.type === 'punc' || t.type === 'name') && t.value === value;
+  };
+
+  Parser.prototype.next = function() {
+    return this.tokens[this.pos++];
+  };
+
+  Parser.prototype.accept = function(value) {
+    if (this.peek(value)) { this.pos++; return true; }
+  };
+
+  Parser.prototype.expect = function(value) {
+    if (!this.accept(value)) this.fail(value);
+  };
+
+  Parser.prototype.fail = function(expected) {
+    var t = this.tokens[this.pos];
+    var found = t ? "'" + t.value + "'" : "end of input";
+    throw new SyntaxError("Livemarkup: " +
+      (expected ? "expected '" + expected + "' but found " : "unexpected ") +
+      found + " in: " + this.tokens.src);
+  };
+
+  // `a; b; c` -- evaluates all, returns the last.
+  Parser.prototype.sequence = function() {
+    var list = [];
+
+    do {
+      if (this.done() || this.peek('}')) break;
+      if (this.peek(';')) continue;
+      list.push(this.expression());
+    } while (this.accept(';'));
+
+    return { type: 'sequence', list: list };
+  };
+
+  Parser.prototype.expression = function() {
+    var start = this.pos;
+    var node = this.conditional();
+
+    if (this.accept('=')) {
+      if (node.type !== 'name' && node.type !== 'member') this.fail();
+      node = { type: 'assign', target: node, value: this.expression() };
+    }
+
+    node.src = _.pluck(this.tokens.slice(start, this.pos), 'value').join(' ');
+    return node;
+  };
+
+  Parser.prototype.conditional = function() {
+    var node = this.binary(0);
+
+    if (this.accept('?')) {
+      var consequent = this.expression();
+      this.expect(':');
+      node = { type: 'conditional', test: node, consequent: consequent, alternate: this.expression() };
+    }
+
+    return node;
+  };
+
+  Parser.prototype.binary = function(minPrec) {
+    var left = this.unary(), t, prec;
+
+    while ((t = this.tokens[this.pos]) &&
+        t.type !== 'str' && binaryPrecedence.hasOwnProperty(t.value) &&
+        (prec = binaryPrecedence[t.value]) > minPrec) {
+      this.pos++;
+      left = {
+        type: (t.value === '&&' || t.value === '||') ? 'logical' : 'binary',
+        op: t.value,
+        left: left,
+        right: this.binary(prec)
+      };
+    }
+
+    return left;
+  };
+
+  Parser.prototype.unary = function() {
+    var t = this.tokens[this.pos];
+
+    if (t && t.type !== 'str' && unaryOps.hasOwnProperty(t.value)) {
+      this.pos++;
+      return { type: 'unary', op: t.value, argument: this.unary() };
+    }
+
+    if (this.accept('new')) {
+      var callee = this.postfix(this.primary(), true);
+      var args = this.peek('(') ? this.args() : [];
+      return this.postfix({ type: 'new', callee: callee, args: args });
+    }
+
+    return this.postfix(this.primary());
+  };
+
+  // Member access and calls: `a.b`, `a[b]`, `a(b)`.
+  Parser.prototype.postfix = function(node, noCalls) {
+    for (;;) {
+      if (this.accept('.')) {
+        var name = this.next();
+        if (!name || name.type !== 'name') { this.pos--; this.fail(); }
+        node = { type: 'member', object: node, property: { type: 'literal', value: name.value } };
+      }
+      else if (this.accept('[')) {
+        node = { type: 'member', object: node, property: this.expression() };
+        this.expect(']');
+      }
+      else if (!noCalls && this.peek('(')) {
+        node = { type: 'call', callee: node, args: this.args() };
+      }
+      else return node;
+    }
+  };
+
+  Parser.prototype.args = function() {
+    var args = [];
+    this.expect('(');
+
+    if (!this.accept(')')) {
+      do { args.push(this.expression()); } while (this.accept(','));
+      this.expect(')');
+    }
+
+    return args;
+  };
+
+  var literals = { 'true': true, 'false': false, 'null': null, 'undefined': undefined };
+
+  Parser.prototype.primary = function() {
+    var t = this.next(), node;
+    if (!t) { this.pos--; this.fail(); }
+
+    if (t.type === 'num' || t.type === 'str') return { type: 'literal', value: t.value };
+
+    if (t.type === 'name') {
+      if (literals.hasOwnProperty(t.value)) return { type: 'literal', value: literals[t.value] };
+      if (t.value === 'this') return { type: 'this' };
+      if (t.value === 'function') return this.func();
+      return { type: 'name', name: t.value };
+    }
+
+    if (t.value === '(') {
+      node = this.expression();
+      this.expect(')');
+      return node;
+    }
+
+    if (t.value === '[') {
+      var elements = [];
+      if (!this.accept(']')) {
+        do { elements.push(this.expression()); } while (this.accept(','));
+        this.expect(']');
+      }
+      return { type: 'array', elements: elements };
+    }
+
+    if (t.value === '{') {
+      var keys = [], values = [];
+      if (!this.accept('}')) {
+        do {
+          var key = this.next();
+          if (!key || key.type === 'punc') { this.pos--; this.fail(); }
+          keys.push(String(key.value));
+          this.expect(':');
+          values.push(this.expression());
+        } while (this.accept(','));
+        this.expect('}');
+      }
+      return { type: 'object', keys: keys, values: values };
+    }
+
+    this.pos--;
+    this.fail();
+  };
+
+  // `function [name](a, b) { stmt; stmt; return expr; }`
+  Parser.prototype.func = function() {
+    var params = [], body = [], ret;
+
+    if (this.tokens[this.pos] && this.tokens[this.pos].type === 'name') this.pos++;
+
+    this.expect('(');
+    if (!this.accept(')')) {
+      do { params.push(this.next().value); } while (this.accept(','));
+      this.expect(')');
+    }
+
+    this.expect('{');
+    while (!this.accept('}')) {
+      if (this.accept(';')) continue;
+      if (this.accept('return')) {
+        ret = (this.peek(';') || this.peek('}')) ? null : this.expression();
+        this.accept(';');
+        this.expect('}');
+        break;
+      }
+      body.push(this.expression());
+    }
+
+    return { type: 'function', params: params, body: body, ret: ret };
+  };
+
+  /**
+   * Evaluates an AST node in a given scope.
+   *
+   * A scope has `objects` (looked up in order, like nested `with` blocks),
+   * `self` (the value of `this`), and `ctx` (the modifier context).
+   */
+
+  function evaluate(node, scope) {
+    var ref, fn, args, i, value;
+
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'this':
+        return scope.self;
+
+      case 'name':
+      case 'ctx':
+      case 'member':
+        ref = reference(node, scope);
+        return ref.object[ref.key];
+
+      case 'sequence':
+        for (i = 0; i < node.list.length; i++) value = evaluate(node.list[i], scope);
+        return value;
+
+      case 'call':
+        if (node.callee.type === 'name' || node.callee.type === 'ctx' || node.callee.type === 'member') {
+          ref = reference(node.callee, scope);
+          fn = ref.object[ref.key];
+        } else {
+          ref = { object: undefined };
+          fn = evaluate(node.callee, scope);
+        }
+
+        if (typeof fn !== 'function') throw new TypeError(describe(node.callee) + " is not a function");
+        return fn.apply(ref.object, evalList(node.args, scope));
+
+      case 'new':
+        fn = evaluate(node.callee, scope);
+        args = [null].concat(evalList(node.args, scope));
+        return new (Function.prototype.bind.apply(fn, args))();
+
+      case 'unary':
+        if (node.op === 'typeof' && node.argument.type === 'name' && !resolve(scope, node.argument.name))
+          return 'undefined';
+        return unaryOps[node.op](evaluate(node.argument, scope));
+
+      case 'binary':
+        return binaryOps[node.op](evaluate(node.left, scope), evaluate(node.right, scope));
+
+      case 'logical':
+        value = evaluate(node.left, scope);
+        if (node.op === '&&') return value ? evaluate(node.right, scope) : value;
+        return value ? value : evaluate(node.right, scope);
+
+      case 'conditional':
+        return evaluate(node.test, scope) ?
+          evaluate(node.consequent, scope) : evaluate(node.alternate, scope);
+
+      case 'assign':
+        value = evaluate(node.value, scope);
+        if (node.target.type === 'name') {
+          ref = { object: resolve(scope, node.target.name) || root, key: node.target.name };
+        } else {
+          ref = reference(node.target, scope);
+        }
+        ref.object[ref.key] = value;
+        return value;
+
+      case 'array':
+        return evalList(node.elements, scope);
+
+      case 'object':
+        value = {};
+        for (i = 0; i < node.keys.length; i++) value[node.keys[i]] = evaluate(node.values[i], scope);
+        return value;
+
+      case 'function':
+        return function() {
+          var vars = {}, j;
+          for (j = 0; j < node.params.length; j++) vars[node.params[j]] = arguments[j];
+
+          var inner = _.extend({}, scope, { objects: [vars].concat(scope.objects), self: this });
+          for (j = 0; j < node.body.length; j++) evaluate(node.body[j], inner);
+          if (node.ret) return evaluate(node.ret, inner);
+        };
+    }
+  }
+
+  function evalList(list, scope) {
+    return _.map(list, function(node) { return evaluate(node, scope); });
+  }
+
+  // Returns `{ object, key }` for something that can be called or assigned to.
+  function reference(node, scope) {
+    if (node.type === 'ctx') return { object: scope.ctx, key: node.name };
 
-    return this;
-  };
+    if (node.type === 'member') {
+      var object = evaluate(node.object, scope);
+      var key = evaluate(node.property, scope);
+      if (object === null || object === undefined)
+        throw new TypeError("Cannot read property '" + key + "' of " + object);
+      return { object: object, key: key };
+    }
 
-  /**
-   * Formatter
-   */
+    var holder = resolve(scope, node.name);
+    if (!holder) throw new ReferenceError(node.name + " is not defined");
+    return { object: holder, key: node.name };
+  }
 
-  Modifiers.format = function(fn) {
-    var dir = this.directive;
+  // Returns a readable name for a node, for error messages.
+  function describe(node) {
+    if (node.type === 'name' || node.type === 'ctx') return node.name;
+    if (node.type === 'member' && node.property.type === 'literal')
+      return describe(node.object) + '.' + node.property.value;
+    return node.src || 'expression';
+  }
 
-    // Bind to model if need be.
-    var model = dir.model;
-    if (model) fn = $.proxy(fn, model);
+  // Finds the object that holds variable `name`, the way `with` would.
+  function resolve(scope, name) {
+    var objects = scope.objects;
 
-    this.expression._formatters.push(fn);
-    return this;
-  };
+    for (var i = 0; i < objects.length; i++) {
+      if (objects[i] && name in objects[i]) return objects[i];
+    }
+
+    if (name in root) return root;
+  }
 
   // ----------------------------------------------------------------------------
   // Helpers
@@ -856,6 +3259,123 @@
     return re;
   }
 
+  /**
+   * Checks if an element was made by [LM.compile()].
+   * @api private
+   */
+
+  function isPrecompiled(node) {
+    return !!(node.getAttribute('data-lmid') || node.querySelector('[data-lmid]'));
+  }
+
+  /**
+   * Returns the function body of an `@on` handler generator.
+   * @api private
+   */
+
+  function handlerBody(src) {
+    return 'with(ctx){return function(e){' + src + '};}';
+  }
+
+  /**
+   * Ensures that `body` compiles, and returns it. Used by [LM.compile()].
+   * @api private
+   */
+
+  function checkSyntax(params, body) {
+    try {
+      Function.apply(null, params.concat([body]));
+    } catch (e) {
+      throw new SyntaxError("Livemarkup: " + e.message);
+    }
+
+    return body;
+  }
+
+  /**
+   * Creates a comment that remembers an element for hydration, like
+   * `<!--lm:<div @if='...'>...</div>-->`. Dashes are escaped, since `--`
+   * can't appear in comments.
+   * @api private
+   */
+
+  function createMarker(el) {
+    var html = $('<div>').append($(el).clone()).html();
+    return document.createComment('lm:' + html.replace(/[\\-]/g, '\\$&'));
+  }
+
+  function createMarkerAfter($el) {
+    var marker = createMarker($el[0]);
+    $el.after(marker);
+    return marker;
+  }
+
+  /**
+   * Returns the element remembered by a marker made by [createMarker()], or
+   * nothing if `node` isn't a marker.
+   * @api private
+   */
+
+  function readMarker(node) {
+    if (node.nodeType !== 8 || node.nodeValue.indexOf('lm:') !== 0) return;
+
+    // Parse it in the context of its parent so things like `<tr>` work.
+    var box = node.parentNode.cloneNode(false);
+    box.innerHTML = node.nodeValue.substr(3).replace(/\\(.)/g, '$1');
+    return box.firstChild;
+  }
+
+  /**
+   * Replaces the markers in `parent` with the elements they remember, so that
+   * they can be picked up by [Template.fetchDirectives()]. If the server
+   * rendered the element, the rendered one is taken out and kept in
+   * `el.lmRendered` for `@if` to adopt, so that the parent template doesn't
+   * pick up its directives.
+   * @api private
+   */
+
+  function expandMarkers(parent) {
+    _.each(_.toArray(parent.childNodes), function(node) {
+      var el = readMarker(node);
+      if (!el) return;
+
+      var next = node.nextSibling;
+      if (next && next.nodeType === 1 && next.getAttribute('data-lmrendered') !== null) {
+        next.removeAttribute('data-lmrendered');
+        el.lmRendered = parent.removeChild(next);
+      }
+
+      parent.insertBefore(el, node);
+      parent.removeChild(node);
+    });
+  }
+
+  /**
+   * Removes directive attributes from an element (but not its children).
+   * Returns the element.
+   * @api private
+   */
+
+  function stripDirectives(el) {
+    eachAttribute(el, function(name) {
+      if (name.match(dirMatcher)) el.removeAttribute(name);
+    });
+
+    return el;
+  }
+
+  /**
+   * Runs `fn` later: on the next animation frame for `'raf'`, or as soon as
+   * possible for `'microtask'`.
+   * @api private
+   */
+
+  function defer(mode, fn) {
+    if (mode === 'raf' && root.requestAnimationFrame) root.requestAnimationFrame(fn);
+    else if (mode === 'microtask' && root.Promise) root.Promise.resolve().then(fn);
+    else setTimeout(fn, 0);
+  }
+
   function createTextNodeAfter($el) {
     var text = document.createTextNode('');
     $el.after(text);
@@ -885,8 +3405,7 @@
    */
 
   function recheck($element, val) {
-    var name = $element.attr('name');
-    var scope = $element.closest('form,:root').find('[name="'+name+'"]');
+    var scope = checkGroup($element);
 
     // Values selector
     var values = _.map(val, function(v) { return '[value="' + v + '"]'; }).join(',');
@@ -903,6 +3422,70 @@
     }
   }
 
+  /**
+   * Returns the checkboxes or radios in the same group as `$element` (the ones
+   * in the same form with the same name).
+   * @api private
+   */
+
+  function checkGroup($element) {
+    var name = $element.attr('name');
+    if (!name) return $element;
+
+    return $element.closest('form,:root').find('[name="'+name+'"]');
+  }
+
+  /**
+   * Sets a DOM property (like `checked`). On jQuery <= 1.5, which has no
+   * `.prop()`, it's set by hand, and boolean ones are set as attributes too.
+   * @api private
+   */
+
+  function setProp($element, name, value) {
+    if ($.fn.prop) return $element.prop(name, value);
+
+    if (value === true) $element.attr(name, true);
+    else if (value === false) $element.removeAttr(name);
+    $element.each(function() { this[name] = value; });
+  }
+
+  /**
+   * Returns the property of `el` named `name`, which may have lost its case
+   * (HTML attribute names are lowercase) or be dasherized. For instance,
+   * `scrolltop` and `scroll-top` both give `scrollTop`.
+   * @api private
+   */
+
+  function propName(el, name) {
+    name = camelize(name);
+    if (name in el) return name;
+
+    var lower = name.toLowerCase();
+    for (var key in el) {
+      if (key.toLowerCase() === lower) return key;
+    }
+
+    return name;
+  }
+
+  // Turns `scroll-top` into `scrollTop`.
+  function camelize(name) {
+    return name.replace(/-([a-z])/g, function(_, c) { return c.toUpperCase(); });
+  }
+
+  /**
+   * Selects the options of a `<select multiple>` whose values are in `vals`.
+   * (Done by hand, since Zepto's `.val()` can't do it; see Zepto #501.)
+   * @api private
+   */
+
+  function selectOptions(el, vals) {
+    vals = _.map(vals, String);
+    _.each(el.options, function(option) {
+      option.selected = _.contains(vals, option.value);
+    });
+  }
+
   /**
    * Converts a given `value` to an array.
    * @api private
@@ -933,19 +3516,350 @@
    */
 
   function listenVia(view, template, model, event, callback) {
-    if (view && view.listenTo) {
-      view.listenTo(model, event, callback);
-      template.on('lm:destroy', function() { view.stopListening(model, event, callback); });
-    } else {
-      model.on(event, callback);
-      template.on('lm:destroy', function() { model.off(event, callback); });
+    listen(view, model, event, callback);
+    template.on('lm:destroy', function() { unlisten(view, model, event, callback); });
+  }
+
+  function listen(view, model, event, callback) {
+    if (view && view.listenTo) view.listenTo(model, event, callback);
+    else model.on(event, callback);
+  }
+
+  function unlisten(view, model, event, callback) {
+    if (view && view.listenTo) view.stopListening(model, event, callback);
+    else model.off(event, callback);
+  }
+
+  /**
+   * Gets `key` from a model (via `.get()`) or a plain object.
+   * @api private
+   */
+
+  function getKey(obj, key) {
+    if (obj === null || obj === undefined) return;
+    return typeof obj.get === 'function' ? obj.get(key) : obj[key];
+  }
+
+  /**
+   * Gets a dotted `path` (like `"author.name"`) from a model or a plain object.
+   * @api private
+   */
+
+  function getPath(obj, path) {
+    return _.inject(String(path).split('.'), function(obj, key) {
+      return getKey(obj, key);
+    }, obj);
+  }
+
+  /**
+   * Sets the attribute that `attr()` left for `@value` (see [watchPath()]).
+   * @api private
+   */
+
+  function setAttrib(attrib, value, options) {
+    var model = attrib.model;
+
+    if (!model) return;
+    else if (typeof model.set === 'function') model.set(attrib.field, value, options);
+    else model[attrib.field] = value;
+  }
+
+  // Runs the expressions of a rendered template again (against its current
+  // model and locals), then renders it. See [Template#bind()].
+  function rebindTemplate(template) {
+    unwatchErrors(template);
+    _.each(template.directives, function(dir) { dir.bind(template.model); });
+    template.render();
+  }
+
+  // Points a subtemplate to `model` and the current locals of its `parent`
+  // (plus its `own` locals, which win), and runs its expressions again. Used
+  // by the `onbind` of actions with subtemplates, since the subtemplates keep
+  // a copy of the locals they were made with.
+  function rebindSub(sub, parent, model, own) {
+    sub.model = model;
+    rebindTemplate(sub.locals(parent.localContext).locals(own || {}));
+  }
+
+  /**
+   * Keeps the validation errors of `model` in `template.errorModels` (and all
+   * of them in `template.errors`), and triggers `lm:validate` on the template
+   * when they change. Errors are set on the model's `invalid` event, and
+   * cleared when it changes without a `validationError`.
+   * @api private
+   */
+
+  function watchErrors(template, model) {
+    var watched = template.errorModels || (template.errorModels = []);
+    if (!model || !model.on || errorEntry(template, model)) return;
+
+    var entry = { model: model, errors: {} };
+    watched.push(entry);
+
+    var events = {
+      invalid: function(model, error) {
+        setErrors(template, entry, _.isString(error) ? { '': error } : (error || {}));
+      },
+
+      change: function() {
+        if (!model.validationError) setErrors(template, entry, {});
+      }
+    };
+
+    _.each(events, function(fn, event) { listenVia(template.view, template, model, event, fn); });
+
+    (template.errorUnwatch || (template.errorUnwatch = [])).push(function() {
+      _.each(events, function(fn, event) { unlisten(template.view, model, event, fn); });
+    });
+  }
+
+  // Stops watching the models of [watchErrors()], and clears the errors. Used
+  // when the template is bound to another model.
+  function unwatchErrors(template) {
+    _.each(template.errorUnwatch, function(fn) { fn(); });
+    template.errorModels = [];
+    template.errorUnwatch = [];
+
+    if (!template.isValid()) {
+      template.errors = {};
+      template.trigger('lm:validate');
+    }
+  }
+
+  // Sets the errors of one watched model (its `entry` in `errorModels`), so
+  // that one model being valid doesn't clear the errors of another.
+  function setErrors(template, entry, errors) {
+    if (_.isEmpty(errors) && _.isEmpty(entry.errors)) return;
+
+    entry.errors = errors;
+    template.errors = _.extend.apply(_, [{}].concat(_.pluck(template.errorModels, 'errors')));
+    template.trigger('lm:validate');
+  }
+
+  function errorEntry(template, model) {
+    return _.find(template.errorModels, function(entry) { return entry.model === model; });
+  }
+
+  // Returns the error of `field` in the errors of `model`. The field is matched
+  // regardless of case, since attribute names (like `@error:firstName`) are
+  // lowercased.
+  function fieldError(template, model, field) {
+    var entry = errorEntry(template, model);
+    if (!entry) return;
+
+    var lower = field.toLowerCase();
+    var key = _.find(_.keys(entry.errors), function(key) { return key.toLowerCase() === lower; });
+
+    return key === undefined ? undefined : entry.errors[key];
+  }
+
+  /**
+   * Runs the `type` (`enter` or `leave`) transition called `name` on `el`, and
+   * calls `done` when it's over. See [LM.actions.transition].
+   * @api private
+   */
+
+  function transition(name, el, type, done) {
+    done = _.once(done || function() {});
+
+    if (!name) return done();
+
+    var hooks = LM.transitions[name];
+    if (hooks) return hooks[type] ? hooks[type](el, done) : done();
+
+    var $el = $(el);
+    var className = name + '-' + type;
+
+    $el.addClass(className);
+    el.offsetWidth; // Reflow, so that the first class takes effect.
+    $el.addClass(className + '-active');
+
+    waitTransition(el, function() {
+      $el.removeClass(className + ' ' + className + '-active');
+      done();
+    });
+  }
+
+  /**
+   * Calls `done` once the CSS transitions or animations of `el` are over, or
+   * right away if it has none. Returns a function that ends the wait early.
+   * @api private
+   */
+
+  function waitTransition(el, done) {
+    var $el = $(el);
+    var events = 'transitionend webkitTransitionEnd animationend webkitAnimationEnd';
+    var timer;
+
+    var finish = function(e) {
+      if (e && e.target !== el) return;
+
+      clearTimeout(timer);
+      $el[off](events, finish);
+      done();
+    };
+
+    var ms = transitionTime(el);
+    if (!ms) return finish();
+
+    // Wait for it to end, or give up a bit after it should have.
+    $el[on](events, finish);
+    timer = setTimeout(finish, ms + 50);
+    return finish;
+  }
+
+  /**
+   * Runs the enter transition of an element that was just added, unless the
+   * `template` is still being rendered for the first time.
+   * @api private
+   */
+
+  function enter(template, $el, name) {
+    if (template.rendered) transition(name, $el[0], 'enter');
+  }
+
+  /**
+   * Removes an element after its leave transition. If `eventName` is given,
+   * it's triggered first; handlers can `preventDefault()` it to remove the
+   * element themselves, or call the `done` callback it's given to have it
+   * removed.
+   *
+   *     $list.on('lm:remove', function(e, done) {
+   *       e.preventDefault();
+   *       $(e.target).fadeOut(done);
+   *     });
+   *
+   * @api private
+   */
+
+  function leave($el, eventName, name) {
+    var remove = function() { $el.remove(); };
+
+    if (eventName && triggerAndCheck($el, eventName, [remove])) return;
+    transition(name, $el[0], 'leave', remove);
+  }
+
+  /**
+   * Returns how long the CSS transitions or animations of `el` take, in
+   * milliseconds (including their delays).
+   * @api private
+   */
+
+  function transitionTime(el) {
+    var style = root.getComputedStyle && root.getComputedStyle(el);
+    if (!style) return 0;
+
+    return Math.max(cssTime(style, 'transition'), cssTime(style, 'animation'));
+  }
+
+  function cssTime(style, prop) {
+    var durations = cssTimes(style[prop + 'Duration']);
+    var delays = cssTimes(style[prop + 'Delay']);
+
+    return _.inject(durations, function(max, ms, i) {
+      return Math.max(max, ms + (delays[i] || 0));
+    }, 0);
+  }
+
+  // Parses a list of CSS times, like `"0.3s, 200ms"`, to milliseconds.
+  function cssTimes(str) {
+    return _.map((str || '').split(','), function(time) {
+      return (parseFloat(time) || 0) * (/ms\s*$/.test(time) ? 1 : 1000);
+    });
+  }
+
+  /**
+   * Returns the root element of a partial, given as markup, an element, or a
+   * `<script type="text/livemarkup">`.
+   * @api private
+   */
+
+  function partialElement(name, html) {
+    if (typeof html !== 'string') {
+      var el = $(html)[0];
+      if (el.nodeName.toLowerCase() !== 'script') return el;
+      html = el.innerHTML;
     }
+
+    var div = document.createElement('div');
+    div.innerHTML = $.trim(html);
+
+    var $children = $(div).children();
+    if ($children.length !== 1)
+      throw new Error("LM.partials: expected 1 root element in '" + name + "', found " + $children.length);
+
+    return $children[0];
+  }
+
+  /**
+   * Checks if an element is a component used as a custom element.
+   * @api private
+   */
+
+  function isComponentTag(el) {
+    return _.has(LM.components, el.nodeName.toLowerCase());
+  }
+
+  // Makes the `@component` directive for a component's custom element.
+  function componentDirective(template, el) {
+    return new Directive(template, el, 'component', null, "'" + el.nodeName.toLowerCase() + "'");
+  }
+
+  // Returns the name of the prop of `component` that `@prop:param` gives.
+  // HTML lowercases attribute names, so `@prop:first-name` and
+  // `@prop:firstname` both give `firstName`.
+  function componentProp(component, param) {
+    var key = param.replace(/-/g, '').toLowerCase();
+    var name = _.find(component.props, function(name) { return name.toLowerCase() === key; });
+    if (!name) throw new Error("@component: unknown prop '" + param + "'");
+
+    return name;
+  }
+
+  /**
+   * Puts the contents of a component's element (`$contents`) in place of the
+   * `<slot>`s of the component (`$root`).
+   * @api private
+   */
+
+  function fillSlots($root, $contents) {
+    _.each($root.find('slot').get(), function(slot) {
+      var name = slot.getAttribute('name') || '';
+      var nodes = _.filter($contents.get(), function(node) {
+        return ((isElement(node) && node.getAttribute('slot')) || '') === name;
+      });
+
+      // Fall back to the contents of the slot if there's only whitespace.
+      var blank = _.all(nodes, function(node) {
+        return !isElement(node) && !$.trim(node.nodeValue || '');
+      });
+
+      _.each(blank ? _.toArray(slot.childNodes) : nodes, function(node) {
+        slot.parentNode.insertBefore(node, slot);
+      });
+      slot.parentNode.removeChild(slot);
+    });
+  }
+
+  function isElement(node) {
+    return node.nodeType === 1;
+  }
+
+  // Finds the view class called `name` (a dotted path) for `@view`.
+  function viewClass(template, name) {
+    return getPath(template.localContext, name) || getPath(root, name);
+  }
+
+  // Returns the Backbone view of a template: its own, or that of the template
+  // it's a subtemplate of.
+  function parentView(template) {
+    return template.view || template.localContext.view;
   }
 
   // Triggers and event and returns if the default was prevented.
-  function triggerAndCheck($el, eventName) {
+  function triggerAndCheck($el, eventName, args) {
     var e = $.Event(eventName);
-    $el.trigger(e);
+    $el.trigger(e, args);
     return e.isDefaultPrevented();
   }
 
@@ -0,0 +1,134 @@
+require('./setup');
+
+testSuite('attr() multi and nested', function() {
+  var model, author, tpl;
+
+  beforeEach(function() {
+    author = new Backbone.Model({ name: "Jo", address: { city: "Manila" } });
+    model = new Backbone.Model({ first: "John", last: "Smith", author: author });
+  });
+
+  describe('multiple attributes', function() {
+    beforeEach(function() {
+      render("<span @text='attr(\"first last\") -> val.join(\" \")'></span>");
+    });
+
+    it('should pass both values', function() {
+      assert.equal($('span').text(), 'John Smith');
+    });
+
+    it('should respond to either', function() {
+      model.set('first', 'Jane');
+      assert.equal($('span').text(), 'Jane Smith');
+
+      model.set('last', 'Doe');
+      assert.equal($('span').text(), 'Jane Doe');
+    });
+
+    it('should work with a model', function() {
+      $('#body').html('');
+      tpl = template("<div><span @text='attr(m, \"first last\") -> val.join(\"-\")'></span></div>")
+        .locals({ m: model }).render();
+
+      model.set('last', 'Doe');
+      assert.equal($('span').text(), 'John-Doe');
+    });
+  });
+
+  describe('nested attributes', function() {
+    beforeEach(function() {
+      render("<span @text='attr(\"author.name\")'></span>");
+    });
+
+    it('should work', function() {
+      assert.equal($('span').text(), 'Jo');
+    });
+
+    it('should respond to the nested model', function() {
+      author.set('name', 'Jim');
+      assert.equal($('span').text(), 'Jim');
+    });
+
+    it('should respond to the nested model being replaced', function() {
+      var other = new Backbone.Model({ name: "Ann" });
+      model.set('author', other);
+      assert.equal($('span').text(), 'Ann');
+
+      other.set('name', 'Anna');
+      assert.equal($('span').text(), 'Anna');
+    });
+
+    it('should stop listening to the old nested model', function() {
+      model.set('author', new Backbone.Model());
+      assert.deepEqual(_.keys(author._events || {}), []);
+    });
+
+    it('should stop listening on destroy', function() {
+      tpl.destroy();
+      assert.deepEqual(_.keys(author._events || {}), []);
+      assert.deepEqual(_.keys(model._events || {}), []);
+    });
+
+    it('should handle missing models', function() {
+      $('#body').html('');
+      render("<span @text='attr(\"author.name\") -> val || \"none\"'></span>");
+
+      model.set('author', null);
+      assert.equal($('span').text(), 'none');
+    });
+  });
+
+  it('should follow plain objects', function() {
+    render("<span @text='attr(\"author.address.city\")'></span>");
+    assert.equal($('span').text(), 'Manila');
+
+    author.set('address', { city: 'Cebu' });
+    assert.equal($('span').text(), 'Cebu');
+  });
+
+  describe('models behind plain objects', function() {
+    beforeEach(function() {
+      model.set('meta', { author: author });
+      render("<span @text='attr(\"meta.author.name\")'></span>");
+    });
+
+    it('should respond to the nested model', function() {
+      author.set('name', 'Jim');
+      assert.equal($('span').text(), 'Jim');
+    });
+
+    it('should stop listening to the old nested model', function() {
+      model.set('meta', { author: new Backbone.Model() });
+      assert.deepEqual(_.keys(author._events || {}), []);
+    });
+
+    it('should stop listening on destroy', function() {
+      tpl.destroy();
+      assert.deepEqual(_.keys(author._events || {}), []);
+    });
+  });
+
+  describe('@value', function() {
+    beforeEach(function() {
+      render("<input type='text' @value='attr(\"author.name\")'>");
+    });
+
+    it('should write to the nested model', function() {
+      $('input').val('Jim').trigger('change');
+      assert.equal(author.get('name'), 'Jim');
+    });
+
+    it('should write to the replaced nested model', function() {
+      var other = new Backbone.Model({ name: "Ann" });
+      model.set('author', other);
+
+      $('input').val('Anna').trigger('change');
+      assert.equal(other.get('name'), 'Anna');
+      assert.equal(author.get('name'), 'Jo');
+    });
+  });
+
+  function render(str) {
+    tpl = template("<div>" + str + "</div>").bind(model).render();
+  }
+});
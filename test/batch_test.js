@@ -0,0 +1,104 @@
+require('./setup');
+
+testSuite('batched rendering', function() {
+  var model, format, inner, batch;
+
+  beforeEach(function() {
+    batch = LM.config.batch;
+    model = new Backbone.Model({ first: "John", last: "Smith", admin: true });
+    format = sinon.spy(function(val) { return val.join(" "); });
+  });
+
+  afterEach(function() {
+    LM.flush();
+    LM.config.batch = batch;
+  });
+
+  describe('sync', function() {
+    beforeEach(function() {
+      LM.config.batch = 'sync';
+      render("<span @text='attr(\"first last\").format(format)'></span>");
+    });
+
+    it('renders right away', function() {
+      model.set({ first: "Jane", last: "Doe" });
+      assert.equal($('span').text(), 'Jane Doe');
+      assert.equal(format.callCount, 3);
+    });
+  });
+
+  describe('microtask', function() {
+    beforeEach(function() {
+      LM.config.batch = 'microtask';
+      render("<span @text='attr(\"first last\").format(format)'></span>");
+    });
+
+    it('renders later', function() {
+      model.set({ first: "Jane", last: "Doe" });
+      assert.equal($('span').text(), 'John Smith');
+    });
+
+    it('renders once on flush', function() {
+      model.set({ first: "Jane", last: "Doe" });
+      LM.flush();
+      assert.equal($('span').text(), 'Jane Doe');
+      assert.equal(format.callCount, 2);
+    });
+
+    it('flushes by itself', function(done) {
+      model.set({ first: "Jane", last: "Doe" });
+      setTimeout(function() {
+        assert.equal($('span').text(), 'Jane Doe');
+        assert.equal(format.callCount, 2);
+        done();
+      }, 20);
+    });
+  });
+
+  describe('raf', function() {
+    beforeEach(function() {
+      LM.config.batch = 'raf';
+      render("<span @text='attr(\"first last\").format(format)'></span>");
+    });
+
+    it('flushes by itself', function(done) {
+      model.set({ first: "Jane" });
+      model.set({ last: "Doe" });
+      setTimeout(function() {
+        assert.equal($('span').text(), 'Jane Doe');
+        assert.equal(format.callCount, 2);
+        done();
+      }, 50);
+    });
+  });
+
+  describe('subtemplates', function() {
+    beforeEach(function() {
+      LM.config.batch = 'microtask';
+      inner = sinon.spy(function(val) { return val; });
+      render("<div @if='attr(\"admin\")'><b @text='attr(\"first\").format(inner)'></b></div>");
+    });
+
+    it('skips directives of destroyed subtemplates', function() {
+      model.set({ first: "Jane", admin: false });
+      LM.flush();
+      assert.equal($('#body').text(), '');
+      assert.equal(inner.callCount, 1);
+    });
+
+    it('renders the parent first', function() {
+      model.set({ admin: false });
+      model.set({ first: "Jane", admin: true });
+      LM.flush();
+      assert.equal($('b').text(), 'Jane');
+      assert.equal(inner.callCount, 2);
+    });
+  });
+
+  function render(str) {
+    template("<div>" + str + "</div>")
+      .bind(model)
+      .locals({ format: format, inner: inner })
+      .render();
+  }
+});
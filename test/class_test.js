@@ -38,4 +38,55 @@ testSuite('@class()', function() {
     assert.equal($('#body').html(), '<div class="aaa enabled active"></div>');
   });
 
+  describe('strings', function() {
+    beforeEach(function() {
+      model.set('theme', 'dark');
+      template("<div class='box dark-ish' @class='attr(\"theme\")'></div>").bind(model).render();
+    });
+
+    it('should add the class', function() {
+      assert.equal($('#body').html(), '<div class="box dark-ish dark"></div>');
+    });
+
+    it('should replace the class it added', function() {
+      model.set('theme', 'light wide');
+      assert.equal($('#body').html(), '<div class="box dark-ish light wide"></div>');
+    });
+
+    it('should remove the class on null', function() {
+      model.set('theme', null);
+      assert.equal($('#body').html(), '<div class="box dark-ish"></div>');
+    });
+
+    it('should not remove classes it did not add', function() {
+      model.set('theme', 'box');
+      model.set('theme', 'dark');
+      assert.equal($('#body').html(), '<div class="box dark-ish dark"></div>');
+    });
+  });
+
+  describe('objects', function() {
+    beforeEach(function() {
+      model.set({ active: true, off: false });
+      template(
+        "<div class='box is-disabled' " +
+        "@class='attr(\"active off\") -> { active: val[0], \"is-disabled\": val[1] }'></div>"
+      ).bind(model).render();
+    });
+
+    it('should toggle classes', function() {
+      assert.equal($('#body').html(), '<div class="box active"></div>');
+    });
+
+    it('should update', function() {
+      model.set({ active: false, off: true });
+      assert.equal($('#body').html(), '<div class="box is-disabled"></div>');
+    });
+  });
+
+  it('arrays', function() {
+    template("<div @class='-> [\"a\", \"b c\"]'></div>").render();
+    assert.equal($('#body').html(), '<div class="a b c"></div>');
+  });
+
 });
@@ -0,0 +1,185 @@
+require('./setup');
+
+testSuite('LM.compile()', function() {
+  var model, data;
+
+  beforeEach(function() {
+    model = new Backbone.Model({ name: "John", admin: true });
+  });
+
+  afterEach(function() {
+    _.each(LM.compiled, function(registry, key) { LM.compiled[key] = {}; });
+  });
+
+  describe('output', function() {
+    beforeEach(function() {
+      data = compile(
+        "<div>" +
+          "<span @text='attr(\"name\")' class='name'></span>" +
+          "<ul @each='user in -> users'><li @text='-> user'></li></ul>" +
+        "</div>", "show");
+    });
+
+    it('strips directives', function() {
+      assert.notMatch(data.templates.show, /@text|@each/);
+    });
+
+    it('leaves markers', function() {
+      assert.match(data.templates.show, /<span class="name" data-lmid="show:\d+">/);
+    });
+
+    it('directive map', function() {
+      var entries = _.flatten(_.values(data.directives));
+      assert.deepEqual(_.pluck(entries, 'action'), ['text', 'each', 'text']);
+    });
+
+    it('expressions', function() {
+      assert.deepEqual(_.keys(data.expressions).sort(), ['-> user', '-> users', 'attr("name")']);
+    });
+  });
+
+  describe('validation', function() {
+    it('unknown actions', function() {
+      assert.throws(function() {
+        compile("<div @nope='-> 1'></div>", "bad");
+      }, /No action named 'nope'.*'@nope' of bad/);
+    });
+
+    it('syntax errors', function() {
+      assert.throws(function() {
+        compile("<div @text='attr(\"name\"'></div>", "bad");
+      }, /'@text' of bad/);
+    });
+
+    it('@each format', function() {
+      assert.throws(function() {
+        compile("<ul @each='users'><li></li></ul>", "bad");
+      }, /unexpected format/);
+    });
+  });
+
+  describe('LM.load()', function() {
+    var klik;
+
+    beforeEach(function() {
+      klik = sinon.spy();
+      data = compile(
+        "<div>" +
+          "<strong @text='attr(\"name\") -> val.toUpperCase()'></strong>" +
+          "<em @if='attr(\"admin\")'>Admin <b @text='attr(\"name\")'></b></em>" +
+          "<ul @each='user in -> users'><li @text='-> user'></li></ul>" +
+          "<button @on:click='klik()'></button>" +
+        "</div>", "show");
+
+      LM.load(evaluate(data));
+
+      $('#body').html(LM.compiled.templates.show);
+      LM($('#body').children()).bind(model).locals({ users: ['a', 'b'], klik: klik }).render();
+    });
+
+    it('renders', function() {
+      assert.equal($('#body').html(),
+        '<div><strong>JOHN</strong><em>Admin <b>John</b></em><ul><li>a</li><li>b</li></ul><button></button></div>');
+    });
+
+    it('responds to changes', function() {
+      model.set('admin', false);
+      model.set('name', 'Jacob');
+      assert.equal($('strong').text(), 'JACOB');
+      assert.equal($('em').length, 0);
+    });
+
+    it('handlers', function() {
+      $('button').trigger('click');
+      assert(klik.calledOnce);
+    });
+
+    it('uses precompiled expressions', function() {
+      model.set('admin', false);
+      model.set('admin', true);
+      assert.equal(LM.compiled.expressions['attr("name")'].callCount, 2);
+    });
+  });
+
+  describe('components', function() {
+    beforeEach(function() {
+      LM.component('name-tag', {
+        template: "<b @text='-> name'></b>",
+        props: ['name']
+      });
+    });
+
+    afterEach(function() {
+      LM.components = {};
+    });
+
+    it('renders custom elements', function() {
+      data = compile(
+        "<div>" +
+          "<name-tag @prop:name='attr(\"name\")'></name-tag>" +
+          "<p><name-tag></name-tag></p>" +
+        "</div>", "tags");
+
+      LM.load(evaluate(data));
+
+      $('#body').html(LM.compiled.templates.tags);
+      LM($('#body').children()).bind(model).render();
+
+      assert.equal($('name-tag b').eq(0).text(), 'John');
+      assert.equal($('name-tag b').length, 2);
+
+      model.set('name', 'Jacob');
+      assert.equal($('name-tag b').eq(0).text(), 'Jacob');
+    });
+  });
+
+  // Node only (it needs `fs`); skipped in the browser runner.
+  if (typeof process === 'object' && process.versions) describe('lib/compiler', function() {
+    var compiler = require('../lib/compiler');
+    var fs = require('fs');
+    var file = __dirname + '/tmp_compile_test.html';
+
+    beforeEach(function() {
+      fs.writeFileSync(file, "<span @text='attr(\"name\")'></span>");
+    });
+
+    afterEach(function() {
+      fs.unlinkSync(file);
+    });
+
+    it('makes a module', function(done) {
+      compiler.compile([file], { base: __dirname }, function(err, js) {
+        if (err) return done(err);
+
+        var module = {};
+        new Function('module', js)(module);
+
+        assert.equal(module.exports.templates.tmp_compile_test, '<span data-lmid="tmp_compile_test:0"></span>');
+        assert.equal(typeof module.exports.expressions['attr("name")'], 'function');
+        done();
+      });
+    });
+  });
+
+  function compile(html, name) {
+    return LM.compile($('<div>').html(html), name);
+  }
+
+  // Does what the module made by `livemarkup compile` would.
+  function evaluate(data) {
+    return _.extend({}, data, {
+      expressions: mapObject(data.expressions, function(body) {
+        return sinon.spy(new Function('ctx', '$el', 'helpers', 'locals', body));
+      }),
+      handlers: mapObject(data.handlers, function(body) {
+        return new Function('ctx', body);
+      })
+    });
+  }
+
+  function mapObject(obj, fn) {
+    var re = {};
+    _.each(obj, function(val, key) { re[key] = fn(val); });
+    return re;
+  }
+});
@@ -0,0 +1,212 @@
+require('./setup');
+
+testSuite('components', function() {
+  var user, model;
+
+  beforeEach(function() {
+    user = new Backbone.Model({ name: 'John', role: 'admin' });
+    model = new Backbone.Model({ user: user, title: 'Hello' });
+
+    LM.component('user-card', {
+      template:
+        "<div class='card'>" +
+          "<b @text='attr(user, \"name\")'></b>" +
+          "<i @if='-> isAdmin'>admin</i>" +
+          "<span class='title' @text='-> typeof title'></span>" +
+          "<div class='actions'><slot name='actions'>No actions</slot></div>" +
+          "<div class='body'><slot></slot></div>" +
+        "</div>",
+      props: ['user'],
+      initialize: function(props) {
+        this.locals({ isAdmin: props.user.get('role') === 'admin' });
+      }
+    });
+  });
+
+  afterEach(function() {
+    LM.components = {};
+  });
+
+  describe('custom elements', function() {
+    var tpl;
+
+    beforeEach(function() {
+      tpl = template("<div><user-card @prop:user='attr(\"user\")'></user-card></div>")
+        .locals({ title: 'x' }).bind(model).render();
+    });
+
+    it('should render', function() {
+      assert.equal($('user-card .card b').text(), 'John');
+    });
+
+    it('should run initialize', function() {
+      assert.equal($('i').text(), 'admin');
+    });
+
+    it('should not see the locals outside', function() {
+      assert.equal($('.title').text(), 'undefined');
+    });
+
+    it('should respond to changes inside', function() {
+      user.set('name', 'Jane');
+      assert.equal($('b').text(), 'Jane');
+    });
+
+    it('should re-render when props change', function() {
+      model.set('user', new Backbone.Model({ name: 'Mary' }));
+      assert.equal($('.card').length, 1);
+      assert.equal($('b').text(), 'Mary');
+    });
+
+    it('should update in place when props change', function() {
+      var card = $('.card')[0];
+      $('.card').append("<input class='draft'>");
+      $('.draft').val('typing');
+
+      model.set('user', new Backbone.Model({ name: 'Mary' }));
+      assert.equal($('.card')[0], card);
+      assert.equal($('.draft').val(), 'typing');
+    });
+
+    it('should not run initialize again when props change', function() {
+      var spy = sinon.spy(LM.components['user-card'], 'initialize');
+      model.set('user', new Backbone.Model({ name: 'Mary' }));
+      assert.equal(spy.callCount, 0);
+    });
+
+    it('should stop listening to the old props', function() {
+      model.set('user', new Backbone.Model({ name: 'Mary' }));
+      user.set('name', 'Jane');
+      assert.equal($('b').text(), 'Mary');
+    });
+
+    it('should keep slot fallbacks', function() {
+      assert.equal($('.actions').text(), 'No actions');
+    });
+
+    it('should be destroyed with the parent', function() {
+      tpl.destroy();
+      user.set('name', 'Jane');
+      assert.equal($('b').text(), 'John');
+    });
+  });
+
+  describe('@component', function() {
+    beforeEach(function() {
+      template("<div><section @component='\"user-card\"' @prop:user='attr(\"user\")'></section></div>")
+        .bind(model).render();
+    });
+
+    it('should render', function() {
+      assert.equal($('section .card b').text(), 'John');
+    });
+
+    it('should re-render when props change', function() {
+      model.set('user', new Backbone.Model({ name: 'Mary' }));
+      assert.equal($('b').text(), 'Mary');
+    });
+  });
+
+  describe('slots', function() {
+    beforeEach(function() {
+      template(
+        "<div>" +
+          "<user-card @prop:user='attr(\"user\")'>" +
+            "<a slot='actions' @text='attr(\"title\")'></a>" +
+            "<p @text='-> greeting'></p>" +
+          "</user-card>" +
+        "</div>"
+      ).locals({ greeting: 'Hi' }).bind(model).render();
+    });
+
+    it('should fill named slots', function() {
+      assert.equal($('.actions a').text(), 'Hello');
+    });
+
+    it('should fill the default slot', function() {
+      assert.equal($('.body p').text(), 'Hi');
+      assert.equal($('.body a').length, 0);
+    });
+
+    it('should render them with the outer template', function() {
+      model.set('title', 'Bye');
+      assert.equal($('.actions a').text(), 'Bye');
+    });
+
+    it('should keep them when props change', function() {
+      model.set('user', new Backbone.Model({ name: 'Mary' }));
+      model.set('title', 'Bye');
+      assert.equal($('b').text(), 'Mary');
+      assert.equal($('.actions a').text(), 'Bye');
+      assert.equal($('.body p').text(), 'Hi');
+    });
+
+    it('should remove the slot elements', function() {
+      assert.equal($('slot').length, 0);
+    });
+  });
+
+  describe('nested subtemplates', function() {
+    beforeEach(function() {
+      LM.component('user-tags', {
+        template:
+          "<div>" +
+            "<p @if='-> true'><i @text='-> user.get(\"name\")'></i><b @text='attr(user, \"name\")'></b></p>" +
+            "<ul @each='tag in -> tags'><li @text='-> user.get(\"name\") + \":\" + tag'></li></ul>" +
+            "<span class='initial' @text='-> initial'></span>" +
+          "</div>",
+        props: ['user', 'tags'],
+        update: function(props) {
+          this.locals({ initial: props.user.get('name').charAt(0) });
+        }
+      });
+
+      template("<div><user-tags @prop:user='attr(\"user\")' @prop:tags='-> [\"a\"]'></user-tags></div>")
+        .bind(model).render();
+    });
+
+    it('should give new props to @if', function() {
+      model.set('user', new Backbone.Model({ name: 'Mary' }));
+      assert.equal($('p i').text(), 'Mary');
+      assert.equal($('p b').text(), 'Mary');
+    });
+
+    it('should stop listening to old props in @if', function() {
+      model.set('user', new Backbone.Model({ name: 'Mary' }));
+      user.set('name', 'Jane');
+      assert.equal($('p b').text(), 'Mary');
+    });
+
+    it('should give new props to @each', function() {
+      model.set('user', new Backbone.Model({ name: 'Mary' }));
+      assert.equal($('li').text(), 'Mary:a');
+    });
+
+    it('should call update when props change', function() {
+      assert.equal($('.initial').text(), 'J');
+      model.set('user', new Backbone.Model({ name: 'Mary' }));
+      assert.equal($('.initial').text(), 'M');
+    });
+  });
+
+  it('should work in @each', function() {
+    var users = new Backbone.Collection([{ name: 'A' }, { name: 'B' }]);
+    template("<div @each='u in -> users'><user-card @prop:user='-> u'></user-card></div>")
+      .locals({ users: users }).render();
+
+    assert.equal($('b').eq(0).text(), 'A');
+    assert.equal($('b').eq(1).text(), 'B');
+  });
+
+  it('should throw on unknown props', function() {
+    assert.throws(function() {
+      template("<div><user-card @prop:usr='attr(\"user\")'></user-card></div>").bind(model).render();
+    }, /unknown prop 'usr'/);
+  });
+
+  it('should throw on unknown components', function() {
+    assert.throws(function() {
+      template("<div><div @component='\"nope\"'></div></div>").render();
+    }, /no component named 'nope'/);
+  });
+});
@@ -0,0 +1,97 @@
+require('./setup');
+
+testSuite('csp mode', function() {
+  var model, csp;
+
+  beforeEach(function() {
+    csp = LM.config.csp;
+    LM.config.csp = true;
+    model = new Backbone.Model({ name: "John", age: 20 });
+  });
+
+  afterEach(function() {
+    LM.config.csp = csp;
+  });
+
+  it('attr()', function() {
+    render("<span @text='attr(\"name\")'></span>");
+    assert.equal($('span').text(), 'John');
+
+    model.set('name', 'Jacob');
+    assert.equal($('span').text(), 'Jacob');
+  });
+
+  it('formatters', function() {
+    render("<span @text='attr(\"name\") -> val.toUpperCase() + \"!\"'></span>");
+    assert.equal($('span').text(), 'JOHN!');
+  });
+
+  it('.format() with a function literal', function() {
+    render("<span @text='attr(\"name\").format(function(val) { return val.length; })'></span>");
+    assert.equal($('span').text(), '4');
+  });
+
+  it('operators', function() {
+    render("<span @text='attr(\"age\") -> val >= 18 && !false ? (val + 1) * 2 % 7 : \"minor\"'></span>");
+    assert.equal($('span').text(), '0');
+  });
+
+  it('arrays and objects', function() {
+    render("<span @text='-> [1, 2, {a: \"x\", \"b\": [3]}][2].b[0]'></span>");
+    assert.equal($('span').text(), '3');
+  });
+
+  it('this refers to the model', function() {
+    render("<span @text='-> this.get(\"name\")'></span>");
+    assert.equal($('span').text(), 'John');
+  });
+
+  it('locals and helpers', function() {
+    LM.helpers.shout = function(s) { return s + "!"; };
+    render("<span @text='-> shout(greeting)'></span>", { greeting: "hi" });
+    delete LM.helpers.shout;
+
+    assert.equal($('span').text(), 'hi!');
+  });
+
+  it('globals', function() {
+    render("<span @text='-> Math.max(1, 5) + parseInt(\"2\")'></span>");
+    assert.equal($('span').text(), '7');
+  });
+
+  it('typeof on undefined names', function() {
+    render("<span @text='-> typeof nothingHere'></span>");
+    assert.equal($('span').text(), 'undefined');
+  });
+
+  it('new and assignment', function() {
+    var view = {};
+    render("<span @run='-> view.date = new Date(0)'></span>", { view: view });
+    assert.equal(view.date.getTime(), 0);
+  });
+
+  it('@on handlers', function() {
+    var klik = sinon.stub();
+    render("<div id='box' @on:click='klik(e.type); klik(2)'></div>", { klik: klik });
+
+    $('#box').trigger('click');
+    assert.equal(klik.firstCall.args[0], 'click');
+    assert.equal(klik.secondCall.args[0], 2);
+  });
+
+  it('unknown names', function() {
+    assert.throws(function() {
+      render("<span @text='-> nothingHere'></span>");
+    }, /nothingHere is not defined/);
+  });
+
+  it('syntax errors', function() {
+    assert.throws(function() {
+      render("<span @text='attr(\"name\" -> val'></span>");
+    }, /expected/);
+  });
+
+  function render(str, locals) {
+    return template('<div>' + str + '</div>').locals(locals || {}).bind(model).render();
+  }
+});
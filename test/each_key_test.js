@@ -0,0 +1,102 @@
+require('./setup');
+
+testSuite('@each() keyed arrays', function() {
+  var model, tpl, tom, dick, harry;
+
+  function names() {
+    return $('li').map(function() { return $(this).text(); }).get().join(' ');
+  }
+
+  describe('with @key', function() {
+    beforeEach(function() {
+      tom   = { id: 1, name: 'Tom' };
+      dick  = { id: 2, name: 'Dick' };
+      harry = { id: 3, name: 'Harry' };
+      model = new Backbone.Model({ people: [tom, dick, harry] });
+
+      tpl = template(
+        '<ul @each="p in attr(\'people\')" @key="p.id">' +
+          '<li @text="-> p.name"></li>' +
+        '</ul>'
+      ).bind(model).render();
+    });
+
+    it('should render', function() {
+      assert.equal(names(), 'Tom Dick Harry');
+    });
+
+    it('should not duplicate on re-render', function() {
+      model.set('people', [tom, dick, harry, { id: 4, name: 'Jane' }]);
+      assert.equal(names(), 'Tom Dick Harry Jane');
+    });
+
+    it('should keep the elements of the same key', function() {
+      var $li = $('li');
+
+      model.set('people', [harry, tom, dick]);
+      assert.equal(names(), 'Harry Tom Dick');
+      assert.equal($('li')[0], $li[2]);
+      assert.equal($('li')[1], $li[0]);
+      assert.equal($('li')[2], $li[1]);
+    });
+
+    it('should update reused items', function() {
+      var $li = $('li');
+
+      model.set('people', [{ id: 1, name: 'Thomas' }, dick]);
+      assert.equal(names(), 'Thomas Dick');
+      assert.equal($('li')[0], $li[0]);
+    });
+
+    it('should remove items that are gone', function() {
+      var $li = $('li');
+
+      model.set('people', [dick]);
+      assert.equal(names(), 'Dick');
+      assert.equal($('li')[0], $li[1]);
+    });
+
+    it('should destroy items that are gone', function() {
+      var spy = sinon.spy();
+      $('li').eq(0).bind('lm:destroy', spy);
+
+      model.set('people', [dick, harry]);
+      assert(spy.calledOnce);
+    });
+
+    it('should destroy items with the parent', function() {
+      var spy = sinon.spy();
+      $('li').eq(0).bind('lm:destroy', spy);
+
+      tpl.destroy();
+      assert(spy.calledOnce);
+    });
+  });
+
+  describe('without @key', function() {
+    beforeEach(function() {
+      model = new Backbone.Model({ people: ['Tom', 'Dick', 'Harry'] });
+
+      tpl = template(
+        '<ul @each="i, p in attr(\'people\')">' +
+          '<li @text="-> i + p"></li>' +
+        '</ul>'
+      ).bind(model).render();
+    });
+
+    it('should match items by value', function() {
+      var $li = $('li');
+
+      model.set('people', ['Harry', 'Tom']);
+      assert.equal(names(), '0Harry 1Tom');
+      assert.equal($('li')[0], $li[2]);
+      assert.equal($('li')[1], $li[0]);
+    });
+
+    it('should handle duplicate values', function() {
+      model.set('people', ['Tom', 'Tom', 'Dick']);
+      assert.equal(names(), '0Tom 1Tom 2Dick');
+    });
+  });
+
+});
@@ -0,0 +1,153 @@
+require('./setup');
+
+testSuite('@each:move', function() {
+  var list, getRect;
+
+  beforeEach(function() {
+    list = new Backbone.Collection([{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+
+    // Lay the items out 10px apart, top to bottom.
+    getRect = window.HTMLElement.prototype.getBoundingClientRect;
+    window.HTMLElement.prototype.getBoundingClientRect = function() {
+      var index = _.indexOf($(this.parentNode).children().get(), this);
+      return { left: 0, top: index * 10 };
+    };
+  });
+
+  afterEach(function() {
+    window.HTMLElement.prototype.getBoundingClientRect = getRect;
+  });
+
+  function render(str) {
+    return template(str).locals({ list: list }).render();
+  }
+
+  function names() {
+    return _.map($('li').get(), function(li) { return $(li).text(); }).join('');
+  }
+
+  describe('collections', function() {
+    var moves;
+
+    beforeEach(function() {
+      moves = [];
+      render("<ul @each:move='item in -> list'><li @text='attr(item, \"name\")'></li></ul>");
+      $('ul').bind('lm:move', function(e, dx, dy) {
+        moves.push([$(e.target).text(), dx, dy]);
+      });
+    });
+
+    it('should sort', function() {
+      list.comparator = function(m) { return m.get('name') === 'a' ? 1 : 0; };
+      list.sort();
+      assert.equal(names(), 'bca');
+    });
+
+    it('should move only what is out of order', function() {
+      var ul = $('ul')[0];
+      var spy = sinon.spy(ul, 'insertBefore');
+
+      list.comparator = function(m) { return m.get('name') === 'a' ? 1 : 0; };
+      list.sort();
+
+      assert(spy.calledOnce);
+      assert.equal(spy.args[0][0], $('li')[2]);
+    });
+
+    it('should trigger lm:move', function() {
+      list.comparator = function(m) { return m.get('name') === 'a' ? 1 : 0; };
+      list.sort();
+
+      assert.deepEqual(moves, [['b', 0, 10], ['c', 0, 10], ['a', 0, -20]]);
+    });
+
+    it('should not trigger lm:move for items in place', function() {
+      list.comparator = 'name';
+      list.sort();
+      assert.deepEqual(moves, []);
+    });
+  });
+
+  describe('arrays', function() {
+    var model;
+
+    beforeEach(function() {
+      model = new Backbone.Model({ names: ['a', 'b', 'c'] });
+      template("<ul @each:move='name in attr(\"names\")'><li @text='-> name'></li></ul>")
+        .bind(model).render();
+    });
+
+    it('should trigger lm:move', function() {
+      var moved = [];
+      $('ul').bind('lm:move', function(e, dx, dy) { moved.push($(e.target).text() + dy); });
+
+      model.set('names', ['c', 'a', 'b']);
+      assert.equal(names(), 'cab');
+      assert.deepEqual(moved, ['a-10', 'b-10', 'c20']);
+    });
+
+    it('should not move on the first render', function() {
+      var model = new Backbone.Model({ names: ['x'] });
+      var spy = sinon.spy();
+      $('#body').bind('lm:move', spy);
+
+      template("<ul @each:move='name in attr(\"names\")'><li @text='-> name'></li></ul>")
+        .bind(model).render();
+      assert.isFalse(spy.called);
+    });
+  });
+
+  describe('animation', function() {
+    var getComputedStyle;
+
+    beforeEach(function() {
+      getComputedStyle = window.getComputedStyle;
+      window.getComputedStyle = function() {
+        return { transitionDuration: '0.3s', transitionDelay: '0s' };
+      };
+    });
+
+    afterEach(function() {
+      window.getComputedStyle = getComputedStyle;
+    });
+
+    it('should transition with the move class', function() {
+      render("<ul @each:move='item in -> list'><li @text='attr(item, \"name\")'></li></ul>");
+
+      list.comparator = function(m) { return m.get('name') === 'a' ? 1 : 0; };
+      list.sort();
+
+      var li = $('li')[2];
+      assert.isTrue($(li).hasClass('move-move'));
+      assert.equal(li.style.transform || '', '');
+
+      $(li).trigger('transitionend');
+      assert.isFalse($(li).hasClass('move-move'));
+    });
+
+    it('should use the name from @transition', function() {
+      render("<ul @each:move='item in -> list'><li @transition='fade' @text='attr(item, \"name\")'></li></ul>");
+
+      list.comparator = function(m) { return m.get('name') === 'a' ? 1 : 0; };
+      list.sort();
+
+      assert.isTrue($('li').eq(2).hasClass('fade-move'));
+    });
+
+    it('should leave it to lm:move handlers that prevent it', function() {
+      render("<ul @each:move='item in -> list'><li @text='attr(item, \"name\")'></li></ul>");
+      $('ul').bind('lm:move', function(e) { e.preventDefault(); });
+
+      list.comparator = function(m) { return m.get('name') === 'a' ? 1 : 0; };
+      list.sort();
+
+      assert.equal($('.move-move').length, 0);
+    });
+  });
+
+  it('unknown options', function() {
+    assert.throws(function() {
+      render("<ul @each:mvoe='item in -> list'><li></li></ul>");
+    }, /unknown option/);
+  });
+});
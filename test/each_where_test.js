@@ -0,0 +1,131 @@
+require('./setup');
+
+testSuite('@each() where/sortBy', function() {
+  var users, tpl;
+
+  function names() {
+    return $('li').map(function() { return $(this).text(); }).get().join(' ');
+  }
+
+  beforeEach(function() {
+    users = new Backbone.Collection([
+      { name: 'John', active: true },
+      { name: 'Abe', active: false },
+      { name: 'Mary', active: true }
+    ]);
+  });
+
+  describe('insertion index', function() {
+    beforeEach(function() {
+      tpl = template(
+        "<ul @each='user in -> users'>" +
+          "<li @text='attr(user, \"name\")'></li>" +
+        "</ul>"
+      ).locals({ users: users }).render();
+    });
+
+    it('add with at', function() {
+      users.add({ name: 'Zed' }, { at: 1 });
+      assert.equal(names(), 'John Zed Abe Mary');
+    });
+
+    it('add at the start', function() {
+      users.add({ name: 'Zed' }, { at: 0 });
+      assert.equal(names(), 'Zed John Abe Mary');
+    });
+
+    it('add after a remove', function() {
+      users.remove(users.at(2));
+      users.add({ name: 'Zed' }, { at: 1 });
+      assert.equal(names(), 'John Zed Abe');
+    });
+
+    it('add with a comparator', function() {
+      users.comparator = 'name';
+      users.sort();
+      users.add({ name: 'Bob' });
+      assert.equal(names(), 'Abe Bob John Mary');
+    });
+  });
+
+  describe('where', function() {
+    beforeEach(function() {
+      tpl = template(
+        "<ul @each='user in -> users | where: user.get(\"active\")'>" +
+          "<li @text='attr(user, \"name\")'></li>" +
+        "</ul>"
+      ).locals({ users: users }).render();
+    });
+
+    it('should filter', function() {
+      assert.equal(names(), 'John Mary');
+    });
+
+    it('should react to model changes', function() {
+      users.at(1).set('active', true);
+      assert.equal(names(), 'John Abe Mary');
+
+      users.at(0).set('active', false);
+      assert.equal(names(), 'Abe Mary');
+    });
+
+    it('should react to adds and removes', function() {
+      users.add({ name: 'Zed', active: true }, { at: 0 });
+      users.remove(users.at(1));
+      assert.equal(names(), 'Zed Mary');
+    });
+
+    it('should keep the elements of the same model', function() {
+      var li = $('li')[1];
+      users.at(1).set('active', true);
+      assert.equal($('li')[2], li);
+    });
+
+    it('should not touch the collection', function() {
+      assert.equal(users.length, 3);
+    });
+
+    it('should stop on destroy', function() {
+      tpl.destroy();
+      users.at(1).set('active', true);
+      assert.equal(names(), 'John Mary');
+    });
+  });
+
+  describe('sortBy', function() {
+    it('by attribute name', function() {
+      template(
+        "<ul @each='user in -> users | sortBy: \"name\"'>" +
+          "<li @text='attr(user, \"name\")'></li>" +
+        "</ul>"
+      ).locals({ users: users }).render();
+
+      assert.equal(names(), 'Abe John Mary');
+      assert.equal(users.at(0).get('name'), 'John');
+
+      users.at(0).set('name', 'Zed');
+      assert.equal(names(), 'Abe Mary Zed');
+    });
+
+    it('by expression, with where', function() {
+      template(
+        "<ul @each='user in -> users | where: user.get(\"active\") | sortBy: user.get(\"name\") === \"Mary\" ? 0 : 1'>" +
+          "<li @text='attr(user, \"name\")'></li>" +
+        "</ul>"
+      ).locals({ users: users }).render();
+
+      assert.equal(names(), 'Mary John');
+    });
+
+    it('on arrays', function() {
+      template(
+        "<ul @each='n in -> [3, 1, 2] | where: n > 1 | sortBy: n'>" +
+          "<li @text='-> n'></li>" +
+        "</ul>"
+      ).render();
+
+      assert.equal(names(), '2 3');
+    });
+  });
+
+});
@@ -0,0 +1,104 @@
+require('./setup');
+
+testSuite('@unless / @elseif / @else', function() {
+  var model, tpl;
+
+  beforeEach(function() {
+    model = new Backbone.Model({ role: 'guest' });
+  });
+
+  describe('@unless', function() {
+    beforeEach(function() {
+      render("<div><span @unless='attr(\"admin\")'>Not admin</span></div>");
+    });
+
+    it('should work', function() {
+      assert.equal($('#body').html(), '<div><span>Not admin</span></div>');
+    });
+
+    it('should respond', function() {
+      model.set('admin', true);
+      assert.equal($('#body').html(), '<div></div>');
+    });
+  });
+
+  describe('chains', function() {
+    beforeEach(function() {
+      render(
+        "<div>\n" +
+          "<b @if='attr(\"role\") -> val === \"admin\"'>Admin</b>\n" +
+          "<i @elseif='attr(\"role\") -> val === \"editor\"'>Editor <em @text='attr(\"name\")'></em></i>\n" +
+          "<u @else>Guest</u>\n" +
+        "</div>");
+    });
+
+    it('should show the else branch', function() {
+      assert.equal(text(), 'Guest');
+    });
+
+    it('should show the if branch', function() {
+      model.set('role', 'admin');
+      assert.equal(text(), 'Admin');
+    });
+
+    it('should show the elseif branch', function() {
+      model.set({ role: 'editor', name: 'Jo' });
+      assert.equal(text(), 'Editor Jo');
+    });
+
+    it('should only have one branch at a time', function() {
+      model.set('role', 'admin');
+      model.set('role', 'editor');
+      model.set('role', 'admin');
+      assert.equal($('#body').children().children().length, 1);
+    });
+
+    it('should keep the order', function() {
+      model.set('role', 'editor');
+      assert.equal($('#body').children().children()[0].nodeName, 'I');
+    });
+
+    it('should destroy the hidden branches', function() {
+      model.set({ role: 'editor', name: 'Jo' });
+      model.set('role', 'guest');
+      assert.deepEqual(_.keys(model._events), ['change:role']);
+    });
+
+    it('should destroy with the template', function() {
+      model.set({ role: 'editor', name: 'Jo' });
+      tpl.destroy();
+      assert.deepEqual(_.keys(model._events), []);
+    });
+  });
+
+  it('@unless with @else', function() {
+    render("<div><b @unless='attr(\"admin\")'>Guest</b><i @else>Admin</i></div>");
+    model.set('admin', true);
+    assert.equal(text(), 'Admin');
+  });
+
+  it('@else-if', function() {
+    render("<div><b @if='-> false'>One</b><i @else-if='-> true'>Two</i></div>");
+    assert.equal(text(), 'Two');
+  });
+
+  it('@else without @if', function() {
+    assert.throws(function() {
+      render("<div><b>One</b><i @else>Two</i></div>");
+    }, /@else: expected to come after an @if/);
+  });
+
+  it('@elseif after @else', function() {
+    assert.throws(function() {
+      render("<div><b @if='-> false'></b><i @else></i><u @elseif='-> true'></u></div>");
+    }, /@elseif: expected to come after an @if/);
+  });
+
+  function render(str) {
+    tpl = template(str).bind(model).render();
+  }
+
+  function text() {
+    return $.trim($('#body').text());
+  }
+});
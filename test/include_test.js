@@ -0,0 +1,126 @@
+require('./setup');
+
+testSuite('@include', function() {
+  var model, author;
+
+  beforeEach(function() {
+    author = new Backbone.Model({ name: 'John' });
+    model = new Backbone.Model({ title: 'Hello', author: author, partial: 'avatar' });
+
+    LM.partials.register('avatar', "<span class='avatar' @text='attr(\"name\")'></span>");
+    LM.partials.register('badge', "<b class='badge' @text='-> greeting'></b>");
+  });
+
+  afterEach(function() {
+    LM.partials.templates = {};
+  });
+
+  describe('with @with', function() {
+    var tpl;
+
+    beforeEach(function() {
+      tpl = template("<div><div class='by' @include='\"avatar\"' @with='attr(\"author\")'></div></div>")
+        .bind(model).render();
+    });
+
+    it('should render the partial', function() {
+      assert.equal($('.by .avatar').text(), 'John');
+    });
+
+    it('should respond to changes in the model', function() {
+      author.set('name', 'Jane');
+      assert.equal($('.avatar').text(), 'Jane');
+    });
+
+    it('should switch models', function() {
+      model.set('author', new Backbone.Model({ name: 'Mary' }));
+      assert.equal($('.avatar').length, 1);
+      assert.equal($('.avatar').text(), 'Mary');
+
+      author.set('name', 'Jane');
+      assert.equal($('.avatar').text(), 'Mary');
+    });
+
+    it('should be destroyed with the parent', function() {
+      tpl.destroy();
+      author.set('name', 'Jane');
+      assert.equal($('.avatar').text(), 'John');
+    });
+  });
+
+  it('should use the template model without @with', function() {
+    template("<div><div @include='\"avatar\"'></div></div>").bind(author).render();
+    assert.equal($('.avatar').text(), 'John');
+  });
+
+  it('should inherit locals', function() {
+    template("<div><div @include='\"badge\"'></div></div>").locals({ greeting: 'Hi' }).render();
+    assert.equal($('.badge').text(), 'Hi');
+  });
+
+  it('should change partials', function() {
+    template("<div><div @include='attr(\"partial\")' @with='attr(\"author\")'></div></div>")
+      .locals({ greeting: 'Hi' }).bind(model).render();
+    assert.equal($('.avatar').length, 1);
+
+    model.set('partial', 'badge');
+    assert.equal($('.avatar').length, 0);
+    assert.equal($('.badge').text(), 'Hi');
+
+    model.set('partial', null);
+    assert.equal($('.badge').length, 0);
+  });
+
+  it('should replace the contents', function() {
+    template("<div><div @include='\"avatar\"' @with='attr(\"author\")'><i>x</i></div></div>")
+      .bind(model).render();
+    assert.equal($('i').length, 0);
+    assert.equal($('.avatar').length, 1);
+  });
+
+  it('should be reusable', function() {
+    template(
+      "<ul @each='a in attr(\"authors\")'>" +
+        "<li @include='\"avatar\"' @with='-> a'></li>" +
+      "</ul>"
+    ).bind(new Backbone.Model({ authors: [author, new Backbone.Model({ name: 'Jane' })] })).render();
+
+    assert.equal($('.avatar').eq(0).text(), 'John');
+    assert.equal($('.avatar').eq(1).text(), 'Jane');
+  });
+
+  it('should throw on unknown partials', function() {
+    assert.throws(function() {
+      template("<div><div @include='\"nope\"'></div></div>").render();
+    }, /no partial named 'nope'/);
+  });
+
+  describe('LM.partials', function() {
+    it('should take elements', function() {
+      LM.partials.register('el', $("<p class='el' @text='-> \"yes\"'></p>")[0]);
+      template("<div><div @include='\"el\"'></div></div>").render();
+      assert.equal($('.el').text(), 'yes');
+    });
+
+    it('should need one root element', function() {
+      assert.throws(function() {
+        LM.partials.register('two', "<p></p><p></p>");
+      }, /expected 1 root element/);
+    });
+
+    it('should find scripts in the page', function() {
+      var script = window.document.createElement('script');
+      script.type = 'text/livemarkup';
+      script.id = 'greeting';
+      script.text = "\n  <em @text='-> greeting'></em>\n";
+      window.document.body.appendChild(script);
+
+      try {
+        template("<div><div @include='\"greeting\"'></div></div>").locals({ greeting: 'Hey' }).render();
+        assert.equal($('em').text(), 'Hey');
+      } finally {
+        window.document.body.removeChild(script);
+      }
+    });
+  });
+});
@@ -0,0 +1,112 @@
+require('./setup');
+
+testSuite('@options()', function() {
+  var model, countries;
+
+  function options() {
+    return $('option').map(function() {
+      return $(this).attr('value') + '=' + $(this).text();
+    }).get().join(' ');
+  }
+
+  beforeEach(function() {
+    model = new Backbone.Model({ country: 'ph' });
+  });
+
+  describe('arrays', function() {
+    it('of strings', function() {
+      template("<select @options='-> [\"a\", \"b\"]'></select>").render();
+      assert.equal(options(), 'a=a b=b');
+    });
+
+    it('of objects', function() {
+      template("<select @options='-> list'></select>")
+        .locals({ list: [{ id: 1, name: 'One' }, { id: 2, name: 'Two' }] }).render();
+      assert.equal(options(), '1=One 2=Two');
+    });
+
+    it('with value and label paths', function() {
+      template("<select @options='-> list | value: \"code\" | label: \"info.name\"'></select>")
+        .locals({ list: [{ code: 'ph', info: { name: 'Philippines' } }] }).render();
+      assert.equal(options(), 'ph=Philippines');
+    });
+
+    it('with a placeholder', function() {
+      template("<select @options='-> [\"a\"] | placeholder: \"Choose...\"'></select>").render();
+      assert.equal(options(), '=Choose... a=a');
+    });
+
+    it('with groups', function() {
+      template("<select @options='-> list | group: \"region\"'></select>")
+        .locals({ list: [
+          { id: 'ph', name: 'Philippines', region: 'Asia' },
+          { id: 'fr', name: 'France', region: 'Europe' },
+          { id: 'jp', name: 'Japan', region: 'Asia' }
+        ] }).render();
+
+      assert.equal($('optgroup').length, 2);
+      assert.equal($('optgroup').eq(0).attr('label'), 'Asia');
+      assert.equal($('optgroup').eq(0).find('option').length, 2);
+      assert.equal($('optgroup').eq(1).find('option').text(), 'France');
+    });
+  });
+
+  describe('objects', function() {
+    it('should use keys as values', function() {
+      template("<select @options='-> { ph: \"Philippines\", us: \"USA\" }'></select>").render();
+      assert.equal(options(), 'ph=Philippines us=USA');
+    });
+  });
+
+  describe('collections', function() {
+    beforeEach(function() {
+      countries = new Backbone.Collection([
+        { id: 'us', name: 'USA' },
+        { id: 'ph', name: 'Philippines' }
+      ]);
+
+      template("<select @options='-> countries' @value='attr(\"country\")'></select>")
+        .locals({ countries: countries }).bind(model).render();
+    });
+
+    it('should render', function() {
+      assert.equal(options(), 'us=USA ph=Philippines');
+    });
+
+    it('should select the @value', function() {
+      assert.equal($('select').val(), 'ph');
+    });
+
+    it('should update on add', function() {
+      countries.add({ id: 'jp', name: 'Japan' }, { at: 0 });
+      assert.equal(options(), 'jp=Japan us=USA ph=Philippines');
+      assert.equal($('select').val(), 'ph');
+    });
+
+    it('should update on remove', function() {
+      countries.remove(countries.get('us'));
+      assert.equal(options(), 'ph=Philippines');
+      assert.equal($('select').val(), 'ph');
+    });
+
+    it('should update on reset', function() {
+      countries.reset([{ id: 'fr', name: 'France' }, { id: 'ph', name: 'Pilipinas' }]);
+      assert.equal(options(), 'fr=France ph=Pilipinas');
+      assert.equal($('select').val(), 'ph');
+    });
+
+    it('should still write back', function() {
+      $('select').val('us').trigger('change');
+      assert.equal(model.get('country'), 'us');
+    });
+  });
+
+  describe('static options', function() {
+    it('should be kept', function() {
+      template("<select @options='-> list'><option value=''>None</option></select>")
+        .locals({ list: ['a'] }).render();
+      assert.equal(options(), '=None a=a');
+    });
+  });
+
+});
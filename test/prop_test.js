@@ -0,0 +1,91 @@
+require('./setup');
+
+testSuite('@prop', function() {
+  var model;
+
+  beforeEach(function() {
+    model = new Backbone.Model({ done: true, partial: true, locked: false, index: 1 });
+  });
+
+  it('should set boolean properties', function() {
+    template("<input type='checkbox' @prop:checked='attr(\"done\")'>").bind(model).render();
+    assert.isTrue($('input')[0].checked);
+
+    model.set('done', false);
+    assert.isFalse($('input')[0].checked);
+
+    model.set('done', true);
+    assert.isTrue($('input')[0].checked);
+  });
+
+  it('should set properties without attributes', function() {
+    template("<input type='checkbox' @prop:indeterminate='attr(\"partial\")'>").bind(model).render();
+    assert.isTrue($('input')[0].indeterminate);
+
+    model.set('partial', false);
+    assert.isFalse($('input')[0].indeterminate);
+  });
+
+  it('should set disabled', function() {
+    template("<button @prop:disabled='attr(\"locked\")'>x</button>").bind(model).render();
+    assert.isFalse($('button')[0].disabled);
+
+    model.set('locked', true);
+    assert.isTrue($('button')[0].disabled);
+  });
+
+  it('should find camel-cased properties', function() {
+    template(
+      "<select @prop:selectedIndex='attr(\"index\")'>" +
+        "<option>a</option><option>b</option><option>c</option>" +
+      "</select>"
+    ).bind(model).render();
+    assert.equal($('select')[0].selectedIndex, 1);
+
+    model.set('index', 2);
+    assert.equal($('select')[0].selectedIndex, 2);
+  });
+
+  it('should find dasherized properties', function() {
+    template(
+      "<select @prop:selected-index='attr(\"index\")'>" +
+        "<option>a</option><option>b</option>" +
+      "</select>"
+    ).bind(model).render();
+    assert.equal($('select')[0].selectedIndex, 1);
+  });
+
+  describe('sync', function() {
+    var tpl;
+
+    beforeEach(function() {
+      tpl = template("<input type='checkbox' @prop:checked.sync='attr(\"done\")'>").bind(model).render();
+    });
+
+    it('should write back', function() {
+      $('input')[0].checked = false;
+      $('input').trigger('change');
+      assert.strictEqual(model.get('done'), false);
+    });
+
+    it('should stop on destroy', function() {
+      tpl.destroy();
+      $('input')[0].checked = false;
+      $('input').trigger('change');
+      assert.strictEqual(model.get('done'), true);
+    });
+  });
+
+  it('should not write back without sync', function() {
+    template("<input type='checkbox' @prop:checked='attr(\"done\")'>").bind(model).render();
+    $('input')[0].checked = false;
+    $('input').trigger('change');
+    assert.strictEqual(model.get('done'), true);
+  });
+
+  it('unknown options', function() {
+    assert.throws(function() {
+      template("<input @prop:checked.sink='attr(\"done\")'>").bind(model).render();
+    }, /unknown option/);
+  });
+});
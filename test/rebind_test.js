@@ -0,0 +1,147 @@
+require('./setup');
+
+testSuite('Template#bind() after render', function() {
+  var john, jane, tpl;
+
+  beforeEach(function() {
+    john = new Backbone.Model({ name: 'John', admin: true, address: new Backbone.Model({ city: 'Manila' }) });
+    jane = new Backbone.Model({ name: 'Jane', admin: false, address: new Backbone.Model({ city: 'Paris' }) });
+  });
+
+  describe('attributes', function() {
+    beforeEach(function() {
+      tpl = template(
+        "<div>" +
+          "<h1 @text='attr(\"name\")'></h1>" +
+          "<input @value='attr(\"name\")'>" +
+          "<span class='city' @text='attr(\"address.city\")'></span>" +
+          "<em @text='on(\"ping\") -> Math.random()'></em>" +
+        "</div>"
+      ).bind(john).render();
+    });
+
+    it('should render the new model', function() {
+      tpl.bind(jane);
+      assert.equal($('h1').text(), 'Jane');
+      assert.equal($('input').val(), 'Jane');
+      assert.equal($('.city').text(), 'Paris');
+    });
+
+    it('should keep the DOM', function() {
+      var h1 = $('h1')[0];
+      tpl.bind(jane);
+      assert.equal($('h1')[0], h1);
+    });
+
+    it('should respond to the new model', function() {
+      tpl.bind(jane);
+      jane.set('name', 'Janet');
+      jane.get('address').set('city', 'Lyon');
+      assert.equal($('h1').text(), 'Janet');
+      assert.equal($('.city').text(), 'Lyon');
+    });
+
+    it('should stop listening to the old model', function() {
+      tpl.bind(jane);
+      john.set('name', 'Jack');
+      john.get('address').set('city', 'Cebu');
+      assert.equal($('h1').text(), 'Jane');
+      assert.equal($('.city').text(), 'Paris');
+      assert.equal(_.keys(john._events || {}).length, 0);
+    });
+
+    it('should listen to events of the new model', function() {
+      tpl.bind(jane);
+
+      var before = $('em').text();
+      john.trigger('ping');
+      assert.equal($('em').text(), before);
+
+      jane.trigger('ping');
+      assert.notEqual($('em').text(), before);
+    });
+
+    it('should write back to the new model', function() {
+      tpl.bind(jane);
+      $('input').val('Janet').trigger('change');
+      assert.equal(jane.get('name'), 'Janet');
+      assert.equal(john.get('name'), 'John');
+    });
+
+    it('should still clean up on destroy', function() {
+      tpl.bind(jane);
+      tpl.destroy();
+      assert.equal(_.keys(jane._events || {}).length, 0);
+      assert.equal(_.keys(jane.get('address')._events || {}).length, 0);
+    });
+  });
+
+  describe('subtemplates', function() {
+    beforeEach(function() {
+      john.set('admin', true);
+      jane.set('admin', true);
+      tpl = template(
+        "<div>" +
+          "<p @if='attr(\"admin\")'><b @text='attr(\"name\")'></b></p>" +
+        "</div>"
+      ).bind(john).render();
+    });
+
+    it('should rebind @if', function() {
+      var b = $('b')[0];
+      tpl.bind(jane);
+      assert.equal($('b').text(), 'Jane');
+      assert.equal($('b')[0], b);
+
+      john.set('name', 'Jack');
+      assert.equal($('b').text(), 'Jane');
+    });
+
+    it('should follow the new condition', function() {
+      tpl.bind(new Backbone.Model({ admin: false }));
+      assert.equal($('b').length, 0);
+    });
+  });
+
+  it('should rebind @each', function() {
+    john.set('tags', ['a', 'b']);
+    jane.set('tags', ['c']);
+    tpl = template("<ul @each='t in attr(\"tags\")'><li @text='-> t'></li></ul>").bind(john).render();
+
+    tpl.bind(jane);
+    assert.equal($('ul').text(), 'c');
+  });
+
+  it('should rebind validation', function() {
+    var Person = Backbone.Model.extend({
+      validate: function(attrs) { if (!attrs.name) return { name: 'Required' }; }
+    });
+    var a = new Person({ name: 'A' });
+    var b = new Person({ name: 'B' });
+
+    tpl = template(
+      "<div><input @value:validate='attr(\"name\")'><span @error:name></span></div>"
+    ).bind(a).render();
+
+    $('input').val('').trigger('change');
+    assert.equal($('span').text(), 'Required');
+
+    tpl.bind(b);
+    assert.isTrue(tpl.isValid());
+    assert.equal($('span').text(), '');
+
+    a.set('name', '', { validate: true });
+    assert.equal($('span').text(), '');
+
+    b.set('name', '', { validate: true });
+    assert.equal($('span').text(), 'Required');
+  });
+
+  it('should only set the model before rendering', function() {
+    tpl = template("<div><h1 @text='attr(\"name\")'></h1></div>").bind(john).bind(jane);
+    assert.equal($('h1').text(), '');
+
+    tpl.render();
+    assert.equal($('h1').text(), 'Jane');
+  });
+});
@@ -36,6 +36,7 @@ function livemarkupEnv(jq) {
         global.LM       = window.LM;
         global.$        = window.$;
         global._        = window._;
+        if (process.env.csp) window.LM.config.csp = true;
         done(errors);
       }
     });
@@ -0,0 +1,93 @@
+require('./setup');
+
+testSuite('@show / @hide', function() {
+  var model;
+
+  beforeEach(function() {
+    model = new Backbone.Model({ open: true, name: 'John' });
+  });
+
+  function el() {
+    return $('#body').children()[0];
+  }
+
+  describe('@show', function() {
+    beforeEach(function() {
+      template(
+        "<div style='display: inline-block' @show='attr(\"open\")'>" +
+          "<span @text='attr(\"name\")'></span>" +
+        "</div>"
+      ).bind(model).render();
+    });
+
+    it('should be shown', function() {
+      assert.equal(el().style.display, 'inline-block');
+    });
+
+    it('should hide', function() {
+      model.set('open', false);
+      assert.equal(el().style.display, 'none');
+    });
+
+    it('should go back to the original display', function() {
+      model.set('open', false);
+      model.set('open', true);
+      assert.equal(el().style.display, 'inline-block');
+    });
+
+    it('should keep the element and its directives', function() {
+      var span = $('span')[0];
+      model.set('open', false);
+      model.set('name', 'Jacob');
+      model.set('open', true);
+
+      assert.equal($('span')[0], span);
+      assert.equal($('span').text(), 'Jacob');
+    });
+  });
+
+  it('@show starting hidden', function() {
+    model.set('open', false);
+    template("<div style='display: none' @show='attr(\"open\")'></div>").bind(model).render();
+    assert.equal(el().style.display, 'none');
+
+    model.set('open', true);
+    assert.equal(el().style.display, '');
+  });
+
+  it('@hide', function() {
+    template("<div @hide='attr(\"open\")'></div>").bind(model).render();
+    assert.equal(el().style.display, 'none');
+
+    model.set('open', false);
+    assert.equal(el().style.display, '');
+  });
+
+  it('@show:hidden', function() {
+    template("<div @show:hidden='attr(\"open\")'></div>").bind(model).render();
+    assert.isFalse(el().hasAttribute('hidden'));
+
+    model.set('open', false);
+    assert.isTrue(el().hasAttribute('hidden'));
+    assert.equal(el().style.display, '');
+  });
+
+  it('@show:class', function() {
+    template("<div class='panel' @show:class='attr(\"open\")'></div>").bind(model).render();
+    assert.equal(el().className, 'panel');
+
+    model.set('open', false);
+    assert.equal(el().className, 'panel hidden');
+  });
+
+  it('@hide:class.collapsed', function() {
+    template("<div @hide:class.collapsed='attr(\"open\")'></div>").bind(model).render();
+    assert.equal(el().className, 'collapsed');
+  });
+
+  it('unknown options', function() {
+    assert.throws(function() {
+      template("<div @show:display='attr(\"open\")'></div>").bind(model).render();
+    }, /unknown option/);
+  });
+});
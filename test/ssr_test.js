@@ -0,0 +1,165 @@
+require('./setup');
+
+testSuite('server rendering', function() {
+  var model, users, html;
+
+  beforeEach(function() {
+    model = new Backbone.Model({ name: "John", admin: true, guest: false });
+    users = new Backbone.Collection([{ name: "Tom" }, { name: "Dick" }]);
+  });
+
+  afterEach(function() {
+    LM.config.ssr = false;
+  });
+
+  describe('server output', function() {
+    beforeEach(function() {
+      html = serverRender(
+        "<div>" +
+          "<h1 @text='attr(\"name\")'></h1>" +
+          "<em @if='attr(\"admin\")'>Admin</em>" +
+          "<ul @each='user in -> users'><li @text='attr(user, \"name\")'></li></ul>" +
+        "</div>");
+    });
+
+    it('has values filled in', function() {
+      var $out = $('<div>').html(html);
+      assert.equal($out.find('h1').text(), 'John');
+      assert.equal($out.find('em').text(), 'Admin');
+      assert.equal($out.find('ul').text(), 'TomDick');
+    });
+
+    it('keeps directives', function() {
+      assert.match(html, /<h1 @text=/);
+    });
+
+    it('leaves markers', function() {
+      assert.match(html, /<!--lm:<em @if=/);
+      assert.match(html, /<!--lm:<li @text=/);
+    });
+  });
+
+  describe('hydration', function() {
+    var $h1, $em, $lis;
+
+    beforeEach(function() {
+      html = serverRender(
+        "<div>" +
+          "<h1 @text='attr(\"name\")'></h1>" +
+          "<em @if='attr(\"admin\")'>Admin <b @text='attr(\"name\")'></b></em>" +
+          "<strong @if='attr(\"guest\")'>Guest</strong>" +
+          "<ul @each='user in -> users'><li @text='attr(user, \"name\")'></li></ul>" +
+        "</div>");
+
+      $('#body').html(html);
+      $h1 = $('h1'); $em = $('em'); $lis = $('li');
+
+      LM($('#body').children()).bind(model).locals({ users: users }).render();
+    });
+
+    it('renders the same', function() {
+      assert.equal($('#body').html(),
+        '<div><h1>John</h1><em>Admin <b>John</b></em><ul><li>Tom</li><li>Dick</li></ul></div>');
+    });
+
+    it('adopts the existing elements', function() {
+      assert.equal($('h1')[0], $h1[0]);
+      assert.equal($('em')[0], $em[0]);
+      assert.equal($('li')[0], $lis[0]);
+      assert.equal($('li')[1], $lis[1]);
+    });
+
+    it('responds to changes', function() {
+      model.set('name', 'Jacob');
+      assert.equal($('h1').text(), 'Jacob');
+      assert.equal($('em b').text(), 'Jacob');
+    });
+
+    it('@if', function() {
+      model.set({ admin: false, guest: true });
+      assert.equal($('em').length, 0);
+      assert.equal($('strong').text(), 'Guest');
+
+      model.set({ admin: true });
+      assert.equal($('em').text(), 'Admin John');
+    });
+
+    it('@each', function() {
+      users.add({ name: 'Harry' });
+      users.at(0).set('name', 'Thomas');
+      assert.equal($('ul').text(), 'ThomasDickHarry');
+    });
+  });
+
+  describe('hydrating @if chains', function() {
+    var $em;
+
+    beforeEach(function() {
+      html = serverRender(
+        "<div>" +
+          "<em @if='attr(\"admin\")'>Admin <b @text='attr(\"name\")'></b></em>" +
+          "<strong @else>Guest</strong>" +
+        "</div>");
+
+      $('#body').html(html);
+      $em = $('em');
+      LM($('#body').children()).bind(model).render();
+    });
+
+    it('adopts the branch', function() {
+      assert.equal($('#body').html(), '<div><em>Admin <b>John</b></em></div>');
+      assert.equal($('em')[0], $em[0]);
+    });
+
+    it('switches branches', function() {
+      model.set('admin', false);
+      assert.equal($('#body').html(), '<div><strong>Guest</strong></div>');
+    });
+  });
+
+  describe('hydrating with different data', function() {
+    beforeEach(function() {
+      html = serverRender(
+        "<div>" +
+          "<em @if='attr(\"admin\")'>Admin</em>" +
+          "<ul @each='user in -> users'><li @text='attr(user, \"name\")'></li></ul>" +
+        "</div>");
+
+      model.set('admin', false);
+      users.reset([{ name: 'Harry' }]);
+
+      $('#body').html(html);
+      LM($('#body').children()).bind(model).locals({ users: users }).render();
+    });
+
+    it('updates', function() {
+      assert.equal($('#body').html(), '<div><ul><li>Harry</li></ul></div>');
+    });
+  });
+
+  // Node only; skipped in the browser runner.
+  if (typeof process === 'object' && process.versions) describe('lib/server', function() {
+    var server = require('../lib/server');
+
+    it('renders', function(done) {
+      server.render("<p @text='-> greeting'></p>", { locals: { greeting: "Hi" } }, function(err, out) {
+        if (err) return done(err);
+
+        assert.equal(out, '<p @text="-> greeting">Hi</p>');
+        done();
+      });
+    });
+  });
+
+  function serverRender(str) {
+    LM.config.ssr = true;
+
+    var $root = $('<div>').html(str);
+    var tpl = LM($root).bind(model).locals({ users: users }).render();
+    var out = $root.html();
+
+    tpl.destroy();
+    LM.config.ssr = false;
+    return out;
+  }
+});
@@ -0,0 +1,84 @@
+require('./setup');
+
+testSuite('@style', function() {
+  var model;
+
+  beforeEach(function() {
+    model = new Backbone.Model({ progress: 50, color: 'red', opacity: 0.5 });
+  });
+
+  function style(prop) {
+    return $('#body').children()[0].style[prop];
+  }
+
+  describe('@style:name', function() {
+    beforeEach(function() {
+      template("<div style='height: 10px' @style:width='attr(\"progress\") -> val === null ? null : val + \"%\"'></div>")
+        .bind(model).render();
+    });
+
+    it('should set the style', function() {
+      assert.equal(style('width'), '50%');
+    });
+
+    it('should update', function() {
+      model.set('progress', 75);
+      assert.equal(style('width'), '75%');
+    });
+
+    it('should remove on null', function() {
+      model.set('progress', null);
+      assert.equal(style('width'), '');
+    });
+
+    it('should leave other styles alone', function() {
+      model.set('progress', null);
+      assert.equal(style('height'), '10px');
+    });
+  });
+
+  it('dasherized names', function() {
+    template("<div @style:background-color='attr(\"color\")'></div>").bind(model).render();
+    assert.equal(style('backgroundColor'), 'red');
+  });
+
+  it('false removes the style', function() {
+    template("<div style='color: blue' @style:color='-> false'></div>").render();
+    assert.equal(style('color'), '');
+  });
+
+  describe('objects', function() {
+    beforeEach(function() {
+      template(
+        "<div style='height: 10px' " +
+        "@style='attr(\"color opacity\") -> { color: val[0], opacity: val[1] }'></div>"
+      ).bind(model).render();
+    });
+
+    it('should set the styles', function() {
+      assert.equal(style('color'), 'red');
+      assert.equal(style('opacity'), '0.5');
+      assert.equal(style('height'), '10px');
+    });
+
+    it('should remove null values', function() {
+      model.set('color', null);
+      assert.equal(style('color'), '');
+      assert.equal(style('opacity'), '0.5');
+    });
+  });
+
+  it('should remove keys that are gone', function() {
+    model.set('bold', true);
+    template(
+      "<div style='height: 10px' " +
+      "@style='attr(\"bold\") -> val ? { fontWeight: \"bold\", color: \"red\" } : { color: \"blue\" }'></div>"
+    ).bind(model).render();
+    assert.equal(style('fontWeight'), 'bold');
+
+    model.set('bold', false);
+    assert.equal(style('fontWeight'), '');
+    assert.equal(style('color'), 'blue');
+    assert.equal(style('height'), '10px');
+  });
+});
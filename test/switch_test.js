@@ -0,0 +1,64 @@
+require('./setup');
+
+testSuite('@switch', function() {
+  var model, tpl;
+
+  beforeEach(function() {
+    model = new Backbone.Model({ status: 'draft' });
+
+    tpl = template(
+      "<div @switch='attr(\"status\")'>" +
+        "<h3>Status</h3>" +
+        "<p @case:draft>Draft</p>" +
+        "<p @case:published>Published by <b @text='attr(\"author\")'></b></p>" +
+        "<p @default>Unknown</p>" +
+      "</div>"
+    ).bind(model).render();
+  });
+
+  it('should show the matching case', function() {
+    assert.equal($('#body').html(), '<div><h3>Status</h3><p>Draft</p></div>');
+  });
+
+  it('should respond to changes', function() {
+    model.set({ status: 'published', author: 'Jo' });
+    assert.equal($('#body').html(), '<div><h3>Status</h3><p>Published by <b>Jo</b></p></div>');
+  });
+
+  it('should fall back to @default', function() {
+    model.set('status', 'archived');
+    assert.equal($('#body').html(), '<div><h3>Status</h3><p>Unknown</p></div>');
+  });
+
+  it('should be case-insensitive', function() {
+    model.set('status', 'DRAFT');
+    assert.equal($('p').text(), 'Draft');
+  });
+
+  it('should destroy the old case', function() {
+    model.set({ status: 'published', author: 'Jo' });
+    model.set('status', 'draft');
+    assert.deepEqual(_.keys(model._events), ['change:status']);
+  });
+
+  it('should not re-render the same case', function() {
+    var $p = $('p');
+    model.set('status', 'Draft');
+    assert.equal($('p')[0], $p[0]);
+  });
+
+  it('should work without @default', function() {
+    $('#body').html('');
+    template(
+      "<div @switch='-> \"other\"'><p @case:draft>Draft</p></div>"
+    ).render();
+
+    assert.equal($('#body').html(), '<div></div>');
+  });
+
+  it('@case outside @switch', function() {
+    assert.throws(function() {
+      template("<div><p @case:draft>Draft</p></div>").render();
+    }, /@case: expected to be inside a @switch/);
+  });
+});
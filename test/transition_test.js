@@ -0,0 +1,157 @@
+require('./setup');
+
+testSuite('@transition', function() {
+  var model, calls;
+
+  beforeEach(function() {
+    model = new Backbone.Model({ open: true });
+    calls = [];
+
+    // Transitions that wait until `done` is called by the test.
+    LM.transitions.later = {
+      enter: function(el, done) { calls.push({ type: 'enter', el: el, done: done }); },
+      leave: function(el, done) { calls.push({ type: 'leave', el: el, done: done }); }
+    };
+  });
+
+  afterEach(function() {
+    delete LM.transitions.later;
+  });
+
+  describe('@if', function() {
+    beforeEach(function() {
+      template("<div><p @if='attr(\"open\")' @transition='later'>Hi</p></div>").bind(model).render();
+    });
+
+    it('should not transition on the first render', function() {
+      assert.equal(calls.length, 0);
+      assert.equal($('p').length, 1);
+    });
+
+    it('should remove after leaving', function() {
+      model.set('open', false);
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].type, 'leave');
+      assert.equal($('p').length, 1);
+
+      calls[0].done();
+      assert.equal($('p').length, 0);
+    });
+
+    it('should enter', function() {
+      model.set('open', false);
+      calls[0].done();
+      model.set('open', true);
+
+      assert.equal(calls[1].type, 'enter');
+      assert.equal(calls[1].el, $('p')[0]);
+    });
+  });
+
+  describe('@show', function() {
+    beforeEach(function() {
+      template("<div><p @show='attr(\"open\")' @transition='later'>Hi</p></div>").bind(model).render();
+    });
+
+    it('should hide after leaving', function() {
+      model.set('open', false);
+      assert.equal($('p')[0].style.display, '');
+
+      calls[0].done();
+      assert.equal($('p')[0].style.display, 'none');
+    });
+
+    it('should stay shown if shown again while leaving', function() {
+      model.set('open', false);
+      model.set('open', true);
+      calls[0].done();
+      assert.equal($('p')[0].style.display, '');
+    });
+  });
+
+  describe('@each', function() {
+    var list;
+
+    beforeEach(function() {
+      list = new Backbone.Collection([{ name: 'a' }, { name: 'b' }]);
+      template("<ul @each='item in -> list'><li @transition='later' @text='attr(item, \"name\")'></li></ul>")
+        .locals({ list: list }).render();
+    });
+
+    it('should enter new items', function() {
+      list.add({ name: 'c' });
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].type, 'enter');
+      assert.equal($(calls[0].el).text(), 'c');
+    });
+
+    it('should remove items after leaving', function() {
+      list.remove(list.at(0));
+      assert.equal($('li').length, 2);
+
+      calls[0].done();
+      assert.equal($('li').length, 1);
+    });
+
+    it('should pass done to lm:remove', function() {
+      $('ul').bind('lm:remove', function(e, done) {
+        e.preventDefault();
+        setTimeout(done, 0);
+      });
+
+      list.remove(list.at(0));
+      assert.equal(calls.length, 0);
+      assert.equal($('li').length, 2);
+    });
+  });
+
+  describe('@each with arrays', function() {
+    beforeEach(function() {
+      model.set('names', ['a', 'b']);
+      template("<ul @each='name in attr(\"names\")'><li @transition='later' @text='-> name'></li></ul>")
+        .bind(model).render();
+    });
+
+    it('should enter and leave', function() {
+      model.set('names', ['b', 'c']);
+      assert.deepEqual(_.pluck(calls, 'type').sort(), ['enter', 'leave']);
+      assert.equal($('li').length, 3);
+
+      _.find(calls, function(c) { return c.type === 'leave'; }).done();
+      assert.equal($('ul').text(), 'bc');
+    });
+  });
+
+  describe('css', function() {
+    beforeEach(function() {
+      template("<div><p @if='attr(\"open\")' @transition='fade'>Hi</p></div>").bind(model).render();
+    });
+
+    it('should remove right away without a transition duration', function() {
+      model.set('open', false);
+      assert.equal($('p').length, 0);
+    });
+
+    it('should wait for the transition', function() {
+      var p = $('p')[0];
+      var getComputedStyle = window.getComputedStyle;
+      window.getComputedStyle = function() {
+        return { transitionDuration: '0.2s', transitionDelay: '0s' };
+      };
+
+      try {
+        model.set('open', false);
+      } finally {
+        window.getComputedStyle = getComputedStyle;
+      }
+
+      assert.equal($('p').length, 1);
+      assert.isTrue($(p).hasClass('fade-leave'));
+      assert.isTrue($(p).hasClass('fade-leave-active'));
+
+      $(p).trigger('transitionend');
+      assert.equal($('p').length, 0);
+      assert.isFalse($(p).hasClass('fade-leave'));
+    });
+  });
+});
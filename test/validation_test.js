@@ -0,0 +1,171 @@
+require('./setup');
+
+testSuite('validation', function() {
+  var Person, model, tpl;
+
+  beforeEach(function() {
+    Person = Backbone.Model.extend({
+      validate: function(attrs) {
+        if (!/@/.test(attrs.email)) return { email: "Email is invalid" };
+        if (attrs.age < 0) return "Nope";
+      }
+    });
+
+    model = new Person({ email: 'john@example.com', age: 20 });
+  });
+
+  describe('@value:validate', function() {
+    beforeEach(function() {
+      tpl = template(
+        "<form>" +
+          "<input @value:validate='attr(\"email\")'>" +
+          "<span class='error' @error:email></span>" +
+          "<span class='general' @error></span>" +
+          "<button @at:disabled='valid() -> !val'>Save</button>" +
+        "</form>"
+      ).bind(model).render();
+    });
+
+    it('should start valid', function() {
+      assert.isTrue(tpl.isValid());
+      assert.isFalse($('input').hasClass('invalid'));
+      assert.equal($('.error').text(), '');
+      assert.isFalse($('button')[0].hasAttribute('disabled'));
+    });
+
+    it('should not set invalid values', function() {
+      $('input').val('nope').trigger('change');
+      assert.equal(model.get('email'), 'john@example.com');
+      assert.equal($('input').val(), 'nope');
+    });
+
+    it('should show the error', function() {
+      $('input').val('nope').trigger('change');
+      assert.equal($('.error').text(), 'Email is invalid');
+      assert.equal($('.general').text(), '');
+    });
+
+    it('should mark the input', function() {
+      $('input').val('nope').trigger('change');
+      assert.isTrue($('input').hasClass('invalid'));
+      assert.equal($('input').attr('aria-invalid'), 'true');
+    });
+
+    it('should set the template state', function() {
+      var spy = sinon.spy();
+      tpl.on('lm:validate', spy);
+
+      $('input').val('nope').trigger('change');
+      assert.isFalse(tpl.isValid());
+      assert.deepEqual(tpl.errors, { email: 'Email is invalid' });
+      assert(spy.calledOnce);
+      assert.isTrue($('button')[0].hasAttribute('disabled'));
+    });
+
+    it('should clear once valid', function() {
+      $('input').val('nope').trigger('change');
+      $('input').val('jane@example.com').trigger('change');
+
+      assert.equal(model.get('email'), 'jane@example.com');
+      assert.isTrue(tpl.isValid());
+      assert.equal($('.error').text(), '');
+      assert.isFalse($('input').hasClass('invalid'));
+      assert.isFalse($('input')[0].hasAttribute('aria-invalid'));
+      assert.isFalse($('button')[0].hasAttribute('disabled'));
+    });
+
+    it('should show string errors without a field', function() {
+      model.set('age', -1, { validate: true });
+      assert.equal($('.general').text(), 'Nope');
+      assert.equal($('.error').text(), '');
+    });
+
+    it('should stop on destroy', function() {
+      tpl.destroy();
+      model.set('email', 'nope', { validate: true });
+      assert.equal($('.error').text(), '');
+    });
+  });
+
+  describe('@value without validate', function() {
+    beforeEach(function() {
+      tpl = template(
+        "<form>" +
+          "<input @value='attr(\"email\")'>" +
+          "<span class='error' @error:email='-> person'></span>" +
+        "</form>"
+      ).locals({ person: model }).bind(model).render();
+    });
+
+    it('should set invalid values', function() {
+      $('input').val('nope').trigger('change');
+      assert.equal(model.get('email'), 'nope');
+      assert.isTrue(tpl.isValid());
+    });
+
+    it('should still show errors from the model', function() {
+      assert.equal($('.error').text(), '');
+
+      model.set('email', 'nope');
+      model.isValid();
+      assert.equal($('.error').text(), 'Email is invalid');
+      assert.isTrue($('input').hasClass('invalid'));
+    });
+  });
+
+  describe('several models', function() {
+    var address;
+
+    beforeEach(function() {
+      address = new Backbone.Model({ city: 'Manila' });
+      tpl = template(
+        "<form>" +
+          "<input class='email' @value:validate='attr(\"email\")'>" +
+          "<input class='city' @value='attr(address, \"city\")'>" +
+          "<span class='error' @error:email></span>" +
+        "</form>"
+      ).locals({ address: address }).bind(model).render();
+
+      $('.email').val('nope').trigger('change');
+    });
+
+    it('should keep the errors of one when another changes', function() {
+      $('.city').val('Cebu').trigger('change');
+
+      assert.equal(address.get('city'), 'Cebu');
+      assert.equal($('.error').text(), 'Email is invalid');
+      assert.isTrue($('.email').hasClass('invalid'));
+      assert.equal($('.email').attr('aria-invalid'), 'true');
+      assert.isFalse(tpl.isValid());
+    });
+
+    it('should not mark the fields of another model', function() {
+      assert.isFalse($('.city').hasClass('invalid'));
+    });
+  });
+
+  describe('camelCase fields', function() {
+    beforeEach(function() {
+      var Named = Backbone.Model.extend({
+        validate: function(attrs) {
+          if (!attrs.firstName) return { firstName: "First name is required" };
+        }
+      });
+
+      model = new Named({ firstName: 'John' });
+      tpl = template(
+        "<form>" +
+          "<input @value:validate='attr(\"firstName\")'>" +
+          "<span class='error' @error:firstName></span>" +
+        "</form>"
+      ).bind(model).render();
+    });
+
+    it('should show the error', function() {
+      $('input').val('').trigger('change');
+      assert.equal($('.error').text(), 'First name is required');
+      assert.isTrue($('input').hasClass('invalid'));
+    });
+  });
+
+});
@@ -0,0 +1,154 @@
+require('./setup');
+
+testSuite('@value() checkboxes', function() {
+  var model;
+
+  beforeEach(function() {
+    model = new Backbone.Model();
+  });
+
+  function check(sel, checked) {
+    if ($.fn.prop) $(sel).prop('checked', checked);
+    else if (checked) $(sel).attr('checked', true);
+    else $(sel).removeAttr('checked');
+
+    $(sel).trigger('change');
+  }
+
+  function isChecked(sel) {
+    return $(sel)[0].checked;
+  }
+
+  describe('group', function() {
+    beforeEach(function() {
+      model.set('fruit', ['apple', 'orange']);
+
+      template(
+        "<form>" +
+        "<input class='c1' type='checkbox' name='fruit' value='apple' @value='attr(\"fruit\")' />" +
+        "<input class='c2' type='checkbox' name='fruit' value='banana' @value='attr(\"fruit\")' />" +
+        "<input class='c3' type='checkbox' name='fruit' value='orange' @value='attr(\"fruit\")' />" +
+        "</form>"
+      ).bind(model).render();
+    });
+
+    it('should check', function() {
+      assert.isTrue(isChecked('.c1'));
+      assert.isFalse(isChecked('.c2'));
+      assert.isTrue(isChecked('.c3'));
+    });
+
+    it('should write checked values', function() {
+      check('.c2', true);
+      assert.deepEqual(model.get('fruit'), ['apple', 'banana', 'orange']);
+    });
+
+    it('should write remaining values on uncheck', function() {
+      check('.c1', false);
+      assert.deepEqual(model.get('fruit'), ['orange']);
+    });
+
+    it('should write an empty array', function() {
+      check('.c1', false);
+      check('.c3', false);
+      assert.deepEqual(model.get('fruit'), []);
+    });
+  });
+
+  describe('lone', function() {
+    beforeEach(function() {
+      model.set('agree', true);
+      template("<div><input type='checkbox' name='agree' @value='attr(\"agree\")' /></div>")
+        .bind(model).render();
+    });
+
+    it('should check', function() {
+      assert.isTrue(isChecked('input'));
+
+      model.set('agree', false);
+      assert.isFalse(isChecked('input'));
+    });
+
+    it('should write booleans', function() {
+      check('input', false);
+      assert.strictEqual(model.get('agree'), false);
+
+      check('input', true);
+      assert.strictEqual(model.get('agree'), true);
+    });
+  });
+
+  describe('lone with custom values', function() {
+    beforeEach(function() {
+      model.set('plan', 'free');
+      template(
+        "<div><input type='checkbox' @value='attr(\"plan\")' " +
+        "@true-value='-> \"pro\"' @false-value='-> \"free\"' /></div>"
+      ).bind(model).render();
+    });
+
+    it('should check', function() {
+      assert.isFalse(isChecked('input'));
+
+      model.set('plan', 'pro');
+      assert.isTrue(isChecked('input'));
+    });
+
+    it('should write the values', function() {
+      check('input', true);
+      assert.equal(model.get('plan'), 'pro');
+
+      check('input', false);
+      assert.equal(model.get('plan'), 'free');
+    });
+  });
+
+  describe('radio', function() {
+    beforeEach(function() {
+      model.set('size', 's');
+      template(
+        "<form>" +
+        "<input class='r1' type='radio' name='size' value='s' @value='attr(\"size\")' />" +
+        "<input class='r2' type='radio' name='size' value='m' @value='attr(\"size\")' />" +
+        "</form>"
+      ).bind(model).render();
+    });
+
+    it('should write the chosen value', function() {
+      check('.r2', true);
+      assert.equal(model.get('size'), 'm');
+    });
+  });
+
+  describe('select multiple', function() {
+    beforeEach(function() {
+      model.set('fruit', ['apple']);
+      template(
+        "<select multiple @value='attr(\"fruit\")'>" +
+          "<option value='apple'>Apple</option>" +
+          "<option value='banana'>Banana</option>" +
+          "<option value='orange'>Orange</option>" +
+        "</select>"
+      ).bind(model).render();
+    });
+
+    it('should select', function() {
+      model.set('fruit', ['banana', 'orange']);
+      assert.deepEqual(_.pluck(_.filter($('option').get(), function(o) { return o.selected; }), 'value'),
+        ['banana', 'orange']);
+    });
+
+    it('should write an array', function() {
+      $('option')[2].selected = true;
+      $('select').trigger('change');
+      assert.deepEqual(model.get('fruit'), ['apple', 'orange']);
+    });
+
+    it('should write an empty array', function() {
+      $('option')[0].selected = false;
+      $('select').trigger('change');
+      assert.deepEqual(model.get('fruit'), []);
+    });
+  });
+
+});
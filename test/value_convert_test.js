@@ -0,0 +1,116 @@
+require('./setup');
+
+testSuite('@value() converters', function() {
+  var tpl, model;
+
+  beforeEach(function() {
+    model = new Backbone.Model({ age: 20 });
+  });
+
+  describe('number', function() {
+    beforeEach(function() {
+      render("<input type='text' @value:number='attr(\"age\")'>");
+    });
+
+    it('should format', function() {
+      assert.equal($('input').val(), '20');
+    });
+
+    it('should parse', function() {
+      $('input').val('21.5').trigger('change');
+      assert.strictEqual(model.get('age'), 21.5);
+    });
+
+    it('should parse empty as null', function() {
+      $('input').val('').trigger('change');
+      assert.strictEqual(model.get('age'), null);
+    });
+
+    it('should leave invalid values alone', function() {
+      $('input').val('abc').trigger('change');
+      assert.strictEqual(model.get('age'), 'abc');
+    });
+  });
+
+  it('integer', function() {
+    render("<input type='text' @value:input.integer='attr(\"age\")'>");
+    $('input').val('21.5').trigger('input');
+    assert.strictEqual(model.get('age'), 21);
+  });
+
+  it('boolean', function() {
+    model.set('agree', true);
+    render(
+      "<select @value:boolean='attr(\"agree\")'>" +
+        "<option value='true'>Yes</option>" +
+        "<option value='false'>No</option>" +
+      "</select>");
+
+    assert.equal($('select').val(), 'true');
+
+    $('select').val('false').trigger('change');
+    assert.strictEqual(model.get('agree'), false);
+  });
+
+  it('date', function() {
+    model.set('born', new Date(2013, 0, 5));
+    render("<input type='text' @value:date='attr(\"born\")'>");
+    assert.equal($('input').val(), '2013-01-05');
+
+    $('input').val('2014-12-25').trigger('change');
+    var born = model.get('born');
+    assert.equal(born.getFullYear(), 2014);
+    assert.equal(born.getMonth(), 11);
+    assert.equal(born.getDate(), 25);
+  });
+
+  it('json', function() {
+    model.set('data', { a: 1 });
+    render("<textarea @value:json='attr(\"data\")'></textarea>");
+    assert.equal($('textarea').val(), '{"a":1}');
+
+    $('textarea').val('[1, 2]').trigger('change');
+    assert.deepEqual(model.get('data'), [1, 2]);
+  });
+
+  it('multiple selects', function() {
+    model.set('ids', [1, 3]);
+    render(
+      "<select multiple @value:number='attr(\"ids\")'>" +
+        "<option value='1'>One</option>" +
+        "<option value='2'>Two</option>" +
+        "<option value='3'>Three</option>" +
+      "</select>");
+
+    $('option')[0].selected = false;
+    $('option')[1].selected = true;
+    $('select').trigger('change');
+    assert.deepEqual(model.get('ids'), [2, 3]);
+  });
+
+  describe('custom', function() {
+    beforeEach(function() {
+      LM.converters.cents = {
+        format: function(val) { return (val / 100).toFixed(2); },
+        parse: function(val) { return Math.round(parseFloat(val) * 100); }
+      };
+    });
+
+    afterEach(function() {
+      delete LM.converters.cents;
+    });
+
+    it('should work both ways', function() {
+      model.set('price', 1250);
+      render("<input type='text' @value:cents='attr(\"price\")'>");
+      assert.equal($('input').val(), '12.50');
+
+      $('input').val('3.99').trigger('change');
+      assert.strictEqual(model.get('price'), 399);
+    });
+  });
+
+  function render(str) {
+    tpl = template(str).bind(model).render();
+  }
+});
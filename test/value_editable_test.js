@@ -0,0 +1,88 @@
+require('./setup');
+
+testSuite('@value() contenteditable', function() {
+  var tpl, model;
+
+  beforeEach(function() {
+    model = new Backbone.Model({ body: "Hello <b>world</b>" });
+  });
+
+  describe('text', function() {
+    beforeEach(function() {
+      render("<div contenteditable='true' @value='attr(\"body\")'></div>");
+    });
+
+    it('should set the text', function() {
+      assert.equal($('[contenteditable]').text(), 'Hello <b>world</b>');
+      assert.equal($('[contenteditable] b').length, 0);
+    });
+
+    it('should write back on input', function() {
+      $('[contenteditable]').text('Hi').trigger('input');
+      assert.equal(model.get('body'), 'Hi');
+    });
+
+    it('should write back on blur', function() {
+      $('[contenteditable]').text('Hi').trigger('blur');
+      assert.equal(model.get('body'), 'Hi');
+    });
+
+    it('should respond to changes', function() {
+      model.set('body', 'Bye');
+      assert.equal($('[contenteditable]').text(), 'Bye');
+    });
+
+    it('should not set the same value back', function() {
+      var spy = sinon.spy($.fn, 'text');
+
+      try {
+        $('[contenteditable]').text('Hi').trigger('input');
+        var sets = _.filter(spy.args, function(args) { return args.length; });
+        assert.equal(sets.length, 1);
+      } finally {
+        spy.restore();
+      }
+    });
+  });
+
+  describe('html', function() {
+    beforeEach(function() {
+      render("<div contenteditable @value:html='attr(\"body\")'></div>");
+    });
+
+    it('should set the html', function() {
+      assert.equal($('[contenteditable] b').text(), 'world');
+    });
+
+    it('should write back html', function() {
+      $('[contenteditable]').html('<i>Hi</i>').trigger('input');
+      assert.equal(model.get('body').toLowerCase(), '<i>hi</i>');
+    });
+  });
+
+  it('lazy', function() {
+    render("<div contenteditable @value:lazy='attr(\"body\")'></div>");
+
+    $('[contenteditable]').text('Hi').trigger('input');
+    assert.equal(model.get('body'), 'Hello <b>world</b>');
+
+    $('[contenteditable]').trigger('blur');
+    assert.equal(model.get('body'), 'Hi');
+  });
+
+  it('should not parse directives inside', function() {
+    model.set('body', '');
+    render("<div contenteditable @value:html='attr(\"body\")'><span @text='-> \"x\"'></span></div>");
+    assert.equal($('[contenteditable]').html(), '');
+  });
+
+  it("should leave contenteditable='false' alone", function() {
+    assert.throws(function() {
+      render("<div contenteditable='false' @value:html='attr(\"body\")'></div>");
+    }, /unknown option/);
+  });
+
+  function render(str) {
+    tpl = template(str).bind(model).render();
+  }
+});
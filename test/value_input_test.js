@@ -0,0 +1,97 @@
+require('./setup');
+
+testSuite('@value:input', function() {
+  var tpl, model;
+
+  beforeEach(function() {
+    model = new Backbone.Model({ name: "John" });
+  });
+
+  it('should update on input', function() {
+    render("<input type='text' @value:input='attr(\"name\")'>");
+    $('input').val('Jackson').trigger('input');
+
+    assert.equal(model.get('name'), 'Jackson');
+  });
+
+  it('should update on keyup', function() {
+    render("<input type='text' @value:input='attr(\"name\")'>");
+    $('input').val('Jackson').trigger('keyup');
+
+    assert.equal(model.get('name'), 'Jackson');
+  });
+
+  it('should not update on input by default', function() {
+    render("<input type='text' @value='attr(\"name\")'>");
+    $('input').val('Jackson').trigger('input');
+
+    assert.equal(model.get('name'), 'John');
+  });
+
+  it('lazy', function() {
+    render("<input type='text' @value:lazy='attr(\"name\")'>");
+    $('input').val('Jackson').trigger('keyup');
+    assert.equal(model.get('name'), 'John');
+
+    $('input').trigger('change');
+    assert.equal(model.get('name'), 'Jackson');
+  });
+
+  it('should not set the same value back', function() {
+    render("<input type='text' @value:input='attr(\"name\")'>");
+    var spy = sinon.spy($.fn, 'val');
+
+    try {
+      $('input').val('Jackson').trigger('input');
+      var sets = _.filter(spy.args, function(args) { return args.length; });
+      assert.equal(sets.length, 1);
+    } finally {
+      spy.restore();
+    }
+  });
+
+  it('should stop listening on destroy', function() {
+    render("<input type='text' @value:input='attr(\"name\")'>");
+    tpl.destroy();
+    $('input').val('Jackson').trigger('input');
+
+    assert.equal(model.get('name'), 'John');
+  });
+
+  it('unknown options', function() {
+    assert.throws(function() {
+      render("<input type='text' @value:inputt='attr(\"name\")'>");
+    }, /unknown option/);
+  });
+
+  describe('debounce', function() {
+    beforeEach(function() {
+      render("<input type='text' @value:input.debounce.20='attr(\"name\")'>");
+    });
+
+    it('should wait', function(done) {
+      $('input').val('J').trigger('input');
+      $('input').val('Ja').trigger('input');
+      assert.equal(model.get('name'), 'John');
+
+      setTimeout(function() {
+        assert.equal(model.get('name'), 'Ja');
+        done();
+      }, 60);
+    });
+
+    it('should not update after destroy', function(done) {
+      $('input').val('Ja').trigger('input');
+      tpl.destroy();
+
+      setTimeout(function() {
+        assert.equal(model.get('name'), 'John');
+        done();
+      }, 60);
+    });
+  });
+
+  function render(str) {
+    tpl = template(str).bind(model).render();
+  }
+});
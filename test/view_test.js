@@ -0,0 +1,110 @@
+require('./setup');
+
+testSuite('@view', function() {
+  var SummaryView, model, person, parentView, tpl;
+
+  beforeEach(function() {
+    SummaryView = Backbone.View.extend({
+      className: 'summary',
+      render: function() {
+        this.$el.text(this.model ? this.model.get('name') : 'none');
+        return this;
+      }
+    });
+
+    sinon.spy(SummaryView.prototype, 'remove');
+
+    person = new Backbone.Model({ name: 'John' });
+    model = new Backbone.Model({ person: person });
+  });
+
+  function render(str) {
+    var $parent = $("<div>").appendTo("#body").html(str);
+    parentView = new Backbone.View({ el: $parent });
+    tpl = LM(parentView).locals({ SummaryView: SummaryView }).bind(model).render();
+  }
+
+  describe('with options', function() {
+    beforeEach(function() {
+      render("<div class='box' @view='SummaryView' @view-options='attr(\"person\") -> { model: val }'></div>");
+    });
+
+    it('should make the view', function() {
+      assert.equal($('.box .summary').text(), 'John');
+    });
+
+    it('should make it once', function() {
+      tpl.render();
+      model.trigger('change:person');
+      assert.equal($('.summary').length, 1);
+      assert.isFalse(SummaryView.prototype.remove.called);
+    });
+
+    it('should make it again when the model changes', function() {
+      model.set('person', new Backbone.Model({ name: 'Jane' }));
+      assert.equal($('.summary').length, 1);
+      assert.equal($('.summary').text(), 'Jane');
+      assert(SummaryView.prototype.remove.calledOnce);
+    });
+
+    it('should remove it on destroy', function() {
+      tpl.destroy();
+      assert(SummaryView.prototype.remove.calledOnce);
+      assert.equal($('.summary').length, 0);
+    });
+
+    it('should register it on the parent view', function() {
+      assert.equal(parentView.views.SummaryView.$el.text(), 'John');
+
+      model.set('person', new Backbone.Model({ name: 'Jane' }));
+      assert.equal(parentView.views.SummaryView.$el.text(), 'Jane');
+
+      tpl.destroy();
+      assert.isUndefined(parentView.views.SummaryView);
+    });
+  });
+
+  it('should take a name', function() {
+    render("<div @view:summary='SummaryView'></div>");
+    assert.equal(parentView.views.summary.$el.text(), 'none');
+  });
+
+  it('should camelize dashed names', function() {
+    render("<div @view:summary-view='SummaryView'></div>");
+    assert.equal(parentView.views.summaryView.$el.text(), 'none');
+  });
+
+  it('should leave the contents to the view', function() {
+    render("<div class='box' @view='SummaryView'><b @text='-> \"nope\"'></b></div>");
+    assert.equal($('.box b').text(), '');
+    assert.equal(tpl.directives.length, 1);
+  });
+
+  it('should take an expression', function() {
+    render("<div @view='-> SummaryView'></div>");
+    assert.equal($('.summary').text(), 'none');
+  });
+
+  it('should find globals', function() {
+    window.App = { Views: { Summary: SummaryView } };
+
+    try {
+      render("<div @view='App.Views.Summary'></div>");
+      assert.equal($('.summary').length, 1);
+    } finally {
+      delete window.App;
+    }
+  });
+
+  it('should register views of subtemplates', function() {
+    render("<div><p @if='attr(\"person\")'><span @view:summary='SummaryView'></span></p></div>");
+    assert.equal($('p .summary').length, 1);
+    assert.equal(parentView.views.summary.el, $('.summary')[0]);
+  });
+
+  it('should throw on unknown views', function() {
+    assert.throws(function() {
+      render("<div @view='NopeView'></div>");
+    }, /no view named 'NopeView'/);
+  });
+});